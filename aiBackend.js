@@ -0,0 +1,151 @@
+const vscode = require('vscode');
+const { OpenAICompatibleBackend, parseStreamLine } = require('./openaiCompatible');
+
+/**
+ * AI backends that task actions send prompts to. Each backend exposes:
+ *   label      - Name shown in pickers and messages
+ *   streams    - true when send() returns the model's response text
+ *   send(prompt, { token, onChunk }) - Promise resolving to the response text,
+ *                or undefined when the prompt is only handed over to chat
+ */
+
+class CopilotChatBackend {
+    constructor() {
+        this.label = 'GitHub Copilot';
+        this.streams = false;
+    }
+
+    async send(prompt) {
+        await vscode.commands.executeCommand('workbench.action.chat.open', {
+            query: prompt
+        });
+        return undefined;
+    }
+}
+
+class LanguageModelBackend {
+    /**
+     * @param {vscode.LanguageModelChatSelector} selector - e.g. { vendor: 'copilot', family: 'gpt-4o' }
+     */
+    constructor(selector) {
+        this.selector = selector;
+        this.label = `Language Model (${selector.family || selector.vendor || 'any'})`;
+        this.streams = true;
+    }
+
+    async send(prompt, options = {}) {
+        if (!vscode.lm) {
+            throw new Error('The Language Model API requires a newer version of VS Code');
+        }
+
+        const [model] = await vscode.lm.selectChatModels(this.selector);
+        if (!model) {
+            throw new Error(`No language model matches ${JSON.stringify(this.selector)}`);
+        }
+
+        const response = await model.sendRequest(
+            [vscode.LanguageModelChatMessage.User(prompt)],
+            {},
+            options.token
+        );
+
+        let text = '';
+        for await (const chunk of response.text) {
+            text += chunk;
+            if (options.onChunk) {
+                options.onChunk(chunk);
+            }
+        }
+        return text;
+    }
+}
+
+/**
+ * Create the backend selected by the traycer.ai.* settings
+ */
+function getBackend() {
+    const config = vscode.workspace.getConfiguration('traycer.ai');
+    const backend = config.get('backend', 'copilot');
+
+    if (backend === 'languageModel') {
+        const selector = {};
+        const vendor = config.get('languageModel.vendor', 'copilot');
+        const family = config.get('languageModel.family', '');
+        if (vendor) {
+            selector.vendor = vendor;
+        }
+        if (family) {
+            selector.family = family;
+        }
+        return new LanguageModelBackend(selector);
+    } else if (backend === 'openaiCompatible') {
+        return new OpenAICompatibleBackend({
+            endpoint: config.get('openaiCompatible.endpoint', 'http://localhost:11434/v1'),
+            model: config.get('openaiCompatible.model', ''),
+            apiKey: config.get('openaiCompatible.apiKey', '')
+        });
+    }
+
+    return new CopilotChatBackend();
+}
+
+let outputChannel;
+
+function getOutputChannel() {
+    if (!outputChannel) {
+        outputChannel = vscode.window.createOutputChannel('Traycer AI');
+    }
+    return outputChannel;
+}
+
+/**
+ * Send a prompt to the configured backend. Streaming backends write the response
+ * to the "Traycer AI" output channel behind a cancellable progress notification.
+ * @param {string} prompt
+ * @param {{title: string, backend?: object}} options - title labels the progress and output
+ * @returns {Promise<string|undefined>} Response text (undefined for Copilot Chat or when cancelled)
+ */
+async function sendPrompt(prompt, options) {
+    const backend = options.backend || getBackend();
+
+    if (!backend.streams) {
+        return backend.send(prompt);
+    }
+
+    const channel = getOutputChannel();
+    channel.show(true);
+    channel.appendLine(`===== ${options.title} (${backend.label}) =====`);
+
+    return vscode.window.withProgress(
+        {
+            location: vscode.ProgressLocation.Notification,
+            title: `${options.title} via ${backend.label}`,
+            cancellable: true
+        },
+        async (progress, token) => {
+            try {
+                const text = await backend.send(prompt, {
+                    token,
+                    onChunk: chunk => channel.append(chunk)
+                });
+                channel.appendLine('');
+                return text;
+            } catch (err) {
+                if (token.isCancellationRequested) {
+                    channel.appendLine('\n[cancelled]');
+                    return undefined;
+                }
+                throw err;
+            }
+        }
+    );
+}
+
+module.exports = {
+    CopilotChatBackend,
+    LanguageModelBackend,
+    OpenAICompatibleBackend,
+    parseStreamLine,
+    getBackend,
+    sendPrompt
+};
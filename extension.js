@@ -1,82 +1,252 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { getBackend, sendPrompt } = require('./aiBackend');
+const { parseTasks } = require('./tasksParser');
+const { buildTaskContext, formatTaskContext } = require('./taskContext');
+const { toBashScriptReferences } = require('./scriptReferences');
+const { buildTaskGraph, getUnmetPrerequisites, describePrerequisites } = require('./taskGraph');
+const { NO_STORY, STATUS_STYLES, getStories, renderTaskGraphSvg, renderTaskGraphMermaid } = require('./taskGraphRender');
+const { runTaskVerification, writeVerificationReport, readVerificationResults, VERIFICATION_DIR } = require('./taskVerifier');
+const {
+    FILE_BLOCK_INSTRUCTIONS,
+    checkRepository,
+    createTaskWorktree,
+    parseFileBlocks,
+    commitFiles,
+    mergeTaskBranch,
+    removeTaskWorktree
+} = require('./taskWorktrees');
+const { parseJsonc, mergeJsonc, removeJsonc } = require('./jsonc');
+const {
+    generateShortName,
+    cleanShortName,
+    createFeature,
+    getCurrentBranch,
+    getGitDir,
+    findFeatureForBranch
+} = require('./featureScaffold');
+const {
+    collectBundledFiles,
+    planSetupSync,
+    getRecommendedAction,
+    applySetupSync,
+    readManifest,
+    recordAddedSettings,
+    listInstalledFiles,
+    removeSetupFiles,
+    readInstalledVersion,
+    writeInstalledVersion
+} = require('./setupAssets');
 
 /**
- * Copy setup files from extension to workspace
+ * Copy setup files from extension to workspace. Files changed locally since they were
+ * installed are only replaced or merged when resolveChoices decides so.
  * @param {string} extensionPath - Path to extension directory
  * @param {string} workspacePath - Path to workspace directory
+ * @param {(changed: object[], workspacePath: string) => Promise<Map<string, string>|undefined>} [resolveChoices] -
+ *   Per-file 'keep' | 'overwrite' | 'merge' for the changed files; recommended actions when omitted
+ * @param {string|null} [profileName] - Setup profile layered over the built-in bundle
+ * @returns {Promise<{written: string[], merged: string[], conflicted: string[], kept: string[],
+ *   settings: {added: string[], changed: string[]}}|undefined>} undefined when resolveChoices cancelled
  */
-async function copySetupFiles(extensionPath, workspacePath) {
+async function copySetupFiles(extensionPath, workspacePath, resolveChoices, profileName = null) {
+    const layers = getSetupLayers(extensionPath, workspacePath, profileName);
+    const plan = planSetupFiles(extensionPath, workspacePath, profileName);
+    const changed = plan.filter(file => file.status !== 'unchanged');
+
+    const choices = resolveChoices && changed.length > 0
+        ? await resolveChoices(changed, workspacePath)
+        : new Map(changed.map(file => [file.relPath, getRecommendedAction(file)]));
+    if (!choices) {
+        return undefined;
+    }
+
+    const result = applySetupSync(workspacePath, plan, choices, profileName);
+    makeScriptsExecutable(path.join(workspacePath, '.specify', 'scripts', 'bash'));
+
+    // Each layer's settings are merged in turn, so profile values win over built-in ones
+    result.settings = { added: [], changed: [] };
+    for (const layer of layers) {
+        const report = await copyVSCodeSettings(path.join(layer, '.vscode'), path.join(workspacePath, '.vscode'));
+        result.settings.added.push(...report.added.filter(key => !result.settings.added.includes(key)));
+        result.settings.changed.push(...report.changed.filter(key =>
+            !result.settings.added.includes(key) && !result.settings.changed.includes(key)
+        ));
+        recordAddedSettings(workspacePath, report.addedKeyPaths);
+    }
+    writeInstalledVersion(workspacePath, getExtensionVersion());
+
+    return result;
+}
+
+/**
+ * Classify the bundled .github and .specify files against the workspace copies
+ * (.vscode/settings.json is merged instead)
+ * @param {string} extensionPath - Path to extension directory
+ * @param {string} workspacePath - Path to workspace directory
+ * @param {string|null} [profileName] - Setup profile layered over the built-in bundle
+ * @returns {object[]} SetupFile entries from setupAssets.planSetupSync
+ */
+function planSetupFiles(extensionPath, workspacePath, profileName = null) {
+    const scriptType = getScriptType();
+    const layers = getSetupLayers(extensionPath, workspacePath, profileName);
+    const bundledFiles = collectBundledFiles(layers, (relPath, content) =>
+        renderSetupFile(relPath, content, scriptType)
+    );
+    return planSetupSync(workspacePath, bundledFiles);
+}
+
+// ========== SETUP PROFILES ==========
+
+/**
+ * Named setup profiles from the traycer.setup.profiles setting
+ * @returns {{name: string, description?: string, sources: string[]}[]}
+ */
+function getSetupProfiles() {
+    const profiles = vscode.workspace.getConfiguration('traycer').get('setup.profiles', []);
+    return profiles.filter(profile => profile && profile.name && Array.isArray(profile.sources));
+}
+
+/**
+ * Directories that make up the installed files: the built-in setup/ bundle, then the
+ * profile's sources in order (later files replace earlier ones)
+ * @param {string} extensionPath - Path to extension directory
+ * @param {string} workspacePath - Path to workspace directory, base for relative sources
+ * @param {string|null} profileName - null for the built-in bundle only
+ * @returns {string[]}
+ */
+function getSetupLayers(extensionPath, workspacePath, profileName) {
     const setupSource = path.join(extensionPath, 'setup');
     
     if (!fs.existsSync(setupSource)) {
         throw new Error('Setup files not found in extension directory');
     }
+    if (!profileName) {
+        return [setupSource];
+    }
 
-    // Directories to copy
-    const directories = ['.github', '.specify', '.vscode'];
-    let copiedFiles = 0;
+    const profile = getSetupProfiles().find(candidate => candidate.name === profileName);
+    if (!profile) {
+        throw new Error(`Setup profile "${profileName}" is not configured in traycer.setup.profiles`);
+    }
 
-    for (const dir of directories) {
-        const sourcePath = path.join(setupSource, dir);
-        const destPath = path.join(workspacePath, dir);
+    const sources = profile.sources.map(source => resolveSetupSource(source, workspacePath));
+    const missing = sources.find(source => !fs.existsSync(source));
+    if (missing) {
+        throw new Error(`Setup source of profile "${profileName}" not found: ${missing}`);
+    }
 
-        if (!fs.existsSync(sourcePath)) {
-            continue;
-        }
+    return [setupSource, ...sources];
+}
 
-        // Special handling for .vscode/settings.json (merge)
-        if (dir === '.vscode') {
-            await copyVSCodeSettings(sourcePath, destPath);
-            copiedFiles++;
-        } else {
-            // Copy entire directory recursively
-            await copyDirectoryRecursive(sourcePath, destPath);
-            copiedFiles++;
-        }
+/**
+ * Expand ~ and ${workspaceFolder}; relative sources are resolved against the workspace folder
+ * @param {string} source
+ * @param {string} workspacePath
+ * @returns {string}
+ */
+function resolveSetupSource(source, workspacePath) {
+    const expanded = source
+        .replace(/^~(?=$|[\\/])/, os.homedir())
+        .replace(/\$\{workspaceFolder\}/g, workspacePath);
+    return path.resolve(workspacePath, expanded);
+}
+
+/**
+ * Ask which profile to initialize with; skipped when no profiles are configured
+ * @param {string|null} currentProfile - Profile recorded in the manifest
+ * @returns {Promise<{name: string|null}|undefined>} name null for the built-in bundle, undefined when cancelled
+ */
+async function pickSetupProfile(currentProfile) {
+    const profiles = getSetupProfiles();
+    if (profiles.length === 0) {
+        return { name: null };
     }
 
-    return copiedFiles;
+    const current = name => (name === currentProfile ? ' (current)' : '');
+    return vscode.window.showQuickPick(
+        [
+            { label: `Built-in${current(null)}`, description: 'Spec-Kit files bundled with the extension', name: null },
+            ...profiles.map(profile => ({
+                label: `${profile.name}${current(profile.name)}`,
+                description: profile.description || profile.sources.join(', '),
+                name: profile.name
+            }))
+        ],
+        { placeHolder: 'Select a setup profile (layered over the built-in Spec-Kit files)' }
+    );
+}
+
+/**
+ * The setup/ bundle ships with the extension, so its version is the extension's
+ * @returns {string}
+ */
+function getExtensionVersion() {
+    return require(path.join(__dirname, 'package.json')).version;
 }
 
 /**
- * Copy directory recursively
- * @param {string} source - Source directory path
- * @param {string} dest - Destination directory path
+ * Resolve which script flavour the agents should run on this host
+ * @returns {'sh'|'ps'} 'sh' for .specify/scripts/bash, 'ps' for .specify/scripts/powershell
  */
-async function copyDirectoryRecursive(source, dest) {
-    // Create destination directory if it doesn't exist
-    if (!fs.existsSync(dest)) {
-        fs.mkdirSync(dest, { recursive: true });
+function getScriptType() {
+    const configured = vscode.workspace.getConfiguration('traycer').get('scriptType', 'auto');
+    if (configured === 'sh' || configured === 'ps') {
+        return configured;
     }
+    return process.platform === 'win32' ? 'ps' : 'sh';
+}
 
-    const entries = fs.readdirSync(source, { withFileTypes: true });
+/**
+ * Point agent/prompt files at the bash scripts when running on a POSIX host.
+ * The bundled files reference the PowerShell scripts, so 'ps' leaves them untouched.
+ * @param {string} relPath - Workspace-relative path of the bundled file
+ * @param {Buffer} content - Bundled content
+ * @param {'sh'|'ps'} scriptType - Script flavour to use
+ * @returns {Buffer|string} Content to install
+ */
+function renderSetupFile(relPath, content, scriptType) {
+    if (scriptType === 'sh' && relPath.startsWith('.github/') && relPath.endsWith('.md')) {
+        return toBashScriptReferences(content.toString('utf8'));
+    }
+    return content;
+}
 
-    for (const entry of entries) {
-        const srcPath = path.join(source, entry.name);
-        const destPath = path.join(dest, entry.name);
+/**
+ * Ensure bundled bash scripts keep their executable bit after copying
+ * @param {string} scriptsPath - Destination .specify/scripts/bash directory
+ */
+function makeScriptsExecutable(scriptsPath) {
+    if (!fs.existsSync(scriptsPath)) {
+        return;
+    }
 
-        if (entry.isDirectory()) {
-            await copyDirectoryRecursive(srcPath, destPath);
-        } else {
-            fs.copyFileSync(srcPath, destPath);
+    for (const file of fs.readdirSync(scriptsPath)) {
+        if (file.endsWith('.sh')) {
+            fs.chmodSync(path.join(scriptsPath, file), 0o755);
         }
     }
 }
 
 /**
- * Copy and merge VS Code settings
+ * Merge the bundled VS Code settings into the workspace settings.json, keeping the
+ * user's comments and formatting. Nested objects are merged key by key.
  * @param {string} sourcePath - Source .vscode directory
  * @param {string} destPath - Destination .vscode directory
+ * @returns {Promise<{added: string[], changed: string[], addedKeyPaths: string[][]}>} Setting keys
+ *   (nested keys joined with ' › '); addedKeyPaths are the added keys unjoined
  */
 async function copyVSCodeSettings(sourcePath, destPath) {
     const settingsFile = 'settings.json';
     const sourceSettings = path.join(sourcePath, settingsFile);
     const destSettings = path.join(destPath, settingsFile);
+    const report = { added: [], changed: [], addedKeyPaths: [] };
 
     if (!fs.existsSync(sourceSettings)) {
-        return;
+        return report;
     }
 
     // Create .vscode directory if it doesn't exist
@@ -84,39 +254,472 @@ async function copyVSCodeSettings(sourcePath, destPath) {
         fs.mkdirSync(destPath, { recursive: true });
     }
 
-    // Read source settings
-    const sourceContent = fs.readFileSync(sourceSettings, 'utf8');
-    
-    // Parse source settings (strip comments if any)
-    let sourceJson;
+    const sourceJson = parseJsonc(fs.readFileSync(sourceSettings, 'utf8'));
+    const destContent = fs.existsSync(destSettings) ? fs.readFileSync(destSettings, 'utf8') : '{}\n';
+
+    try {
+        // Source takes precedence for Spec-Kit settings
+        const merged = mergeJsonc(destContent, sourceJson);
+        if (merged.text !== destContent) {
+            fs.writeFileSync(destSettings, merged.text);
+        }
+        report.added = merged.added.map(keyPath => keyPath.join(' › '));
+        report.addedKeyPaths = merged.added;
+        report.changed = merged.changed.map(keyPath => keyPath.join(' › '));
+    } catch (err) {
+        // Leave a settings.json we cannot parse untouched
+        vscode.window.showWarningMessage(
+            `Could not merge .vscode/settings.json (${err.message}). Manual merge may be required.`
+        );
+    }
+
+    return report;
+}
+
+/**
+ * @param {{added: string[], changed: string[]}} settings - Report from copyVSCodeSettings
+ * @returns {string} e.g. 'added chat.promptFilesRecommendations › speckit.plan; changed ...'
+ */
+function formatSettingsReport(settings) {
+    const parts = [];
+    if (settings.added.length > 0) {
+        parts.push(`added ${settings.added.join(', ')}`);
+    }
+    if (settings.changed.length > 0) {
+        parts.push(`changed ${settings.changed.join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join('; ') : 'already up to date';
+}
+
+// ========== SETUP REVIEW & UPGRADE ==========
+
+const SETUP_STATUS_LABELS = {
+    'new': 'New',
+    'upstream-changed': 'Upstream changed',
+    'locally-modified': 'Locally modified',
+    'both-modified': 'Locally modified and upstream changed'
+};
+
+const SETUP_ACTION_LABELS = {
+    keep: 'Keep local file',
+    overwrite: 'Overwrite with bundled file',
+    merge: '3-way merge'
+};
+
+/**
+ * Preview changed setup files and let the user choose keep/overwrite/merge per file
+ * @param {object[]} changed - Changed files from planSetupSync
+ * @param {string} workspacePath - Folder the files are installed into
+ * @returns {Promise<Map<string, string>|undefined>} relPath -> action, undefined when cancelled
+ */
+async function reviewSetupChanges(changed, workspacePath) {
+    const choices = new Map(changed.map(file => [file.relPath, getRecommendedAction(file)]));
+
+    // Nothing to review when every file is simply added
+    if (changed.every(file => file.local === null)) {
+        return choices;
+    }
+
+    const preview = await vscode.workspace.openTextDocument({
+        language: 'markdown',
+        content: formatSetupPreview(changed, choices)
+    });
+    await vscode.window.showTextDocument(preview, { preview: true });
+
+    const localEdits = changed.filter(file => file.status === 'locally-modified' || file.status === 'both-modified');
+    const answer = await vscode.window.showInformationMessage(
+        `${changed.length} Spec-Kit files differ from the bundled version (${localEdits.length} with local changes).`,
+        'Apply Recommended', 'Review Each File', 'Cancel'
+    );
+
+    if (answer === 'Apply Recommended') {
+        return choices;
+    } else if (answer !== 'Review Each File') {
+        return undefined;
+    }
+
+    for (let i = 0; i < changed.length; i++) {
+        const file = changed[i];
+        const recommended = choices.get(file.relPath);
+        const actions = file.local === null ? ['overwrite', 'keep'] : ['keep', 'overwrite', 'merge'];
+
+        const items = [
+            ...actions.map(action => ({
+                label: SETUP_ACTION_LABELS[action],
+                description: [
+                    action === recommended ? 'recommended' : '',
+                    action === 'merge' && file.base === null ? 'no recorded base - the whole file becomes a conflict' : ''
+                ].filter(Boolean).join(' · '),
+                value: action
+            })),
+            { label: '$(diff) Show Diff', value: 'diff' },
+            { label: '$(check-all) Use Recommended for the Remaining Files', value: 'rest' }
+        ];
+
+        const pick = await vscode.window.showQuickPick(items, {
+            placeHolder: `(${i + 1}/${changed.length}) ${file.relPath} - ${SETUP_STATUS_LABELS[file.status]}`,
+            ignoreFocusOut: true
+        });
+
+        if (!pick) {
+            return undefined;
+        } else if (pick.value === 'diff') {
+            await showSetupDiff(file, workspacePath);
+            i--;  // Ask about the same file again
+        } else if (pick.value === 'rest') {
+            break;
+        } else {
+            choices.set(file.relPath, pick.value);
+        }
+    }
+
+    return choices;
+}
+
+function formatSetupPreview(changed, choices) {
+    const lines = [
+        '# Spec-Kit Setup Changes',
+        '',
+        'Files that are identical to the bundled version are not listed.',
+        ''
+    ];
+
+    for (const status of Object.keys(SETUP_STATUS_LABELS)) {
+        const files = changed.filter(file => file.status === status);
+        if (files.length === 0) {
+            continue;
+        }
+
+        lines.push(`## ${SETUP_STATUS_LABELS[status]} (${files.length})`, '');
+        for (const file of files) {
+            lines.push(`- \`${file.relPath}\` → ${SETUP_ACTION_LABELS[choices.get(file.relPath)]}`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+// Temporary copies opened by showSetupDiff: document uri -> temp directory
+const setupDiffDirs = new Map();
+
+function removeSetupDiffDir(key) {
+    fs.rmSync(setupDiffDirs.get(key), { recursive: true, force: true });
+    setupDiffDirs.delete(key);
+}
+
+/**
+ * Remove the temporary copy of a setup diff once its document is closed
+ * @param {vscode.ExtensionContext} context
+ */
+function watchSetupDiffs(context) {
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => {
+            if (setupDiffDirs.has(document.uri.toString())) {
+                removeSetupDiffDir(document.uri.toString());
+            }
+        })
+    );
+}
+
+/**
+ * Open the workspace file side by side with the content the extension would install
+ * @param {object} file - Changed file from planSetupFiles
+ * @param {string} workspacePath - Folder the file is installed into
+ */
+async function showSetupDiff(file, workspacePath) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-setup-'));
+    const upstreamPath = path.join(tempDir, path.basename(file.relPath));
+    fs.writeFileSync(upstreamPath, file.upstream);
+    setupDiffDirs.set(vscode.Uri.file(upstreamPath).toString(), tempDir);
+
+    const localPath = path.join(workspacePath, file.relPath);
+    if (file.local === null || !fs.existsSync(localPath)) {
+        await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(upstreamPath));
+        return;
+    }
+
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        vscode.Uri.file(localPath),
+        vscode.Uri.file(upstreamPath),
+        `${file.relPath}: Local ↔ Bundled`
+    );
+}
+
+const SETUP_CATEGORIES = [
+    { prefix: '.github/agents/', label: 'Agents' },
+    { prefix: '.github/prompts/', label: 'Prompts' },
+    { prefix: '.specify/templates/', label: 'Templates' },
+    { prefix: '.specify/scripts/', label: 'Scripts' },
+    { prefix: '', label: 'Other' }
+];
+
+/**
+ * Show which bundled agents, prompts, templates and scripts changed since the folder
+ * was initialized, then update them through the same review as Reinitialize
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Asked for when omitted
+ */
+async function upgradeSpecKit(workspaceFolder) {
+    workspaceFolder = workspaceFolder || await pickWorkspaceFolder(
+        'Select the workspace folder to upgrade',
+        getSpecFolders().filter(folder => fs.existsSync(path.join(folder.uri.fsPath, '.specify')))
+    );
+    if (!workspaceFolder) {
+        return;
+    }
+
+    const workspacePath = workspaceFolder.uri.fsPath;
+    if (!fs.existsSync(path.join(workspacePath, '.specify'))) {
+        vscode.window.showWarningMessage('.specify/ directory not found. Run initialization first.');
+        return;
+    }
+
+    const installedVersion = readInstalledVersion(workspacePath) || 'unknown version';
+    const currentVersion = getExtensionVersion();
+    const profileName = readManifest(workspacePath).profile || null;
+
+    let changed;
     try {
-        sourceJson = JSON.parse(sourceContent.replace(/\/\*[\s\S]*?\*\/|\/\/.*/g, ''));
+        changed = planSetupFiles(__dirname, workspacePath, profileName).filter(file => file.upstreamChanged);
     } catch (err) {
-        // If parsing fails, just copy as-is
-        fs.copyFileSync(sourceSettings, destSettings);
+        vscode.window.showErrorMessage(`Failed to upgrade Spec-Kit: ${err.message}`);
+        return;
+    }
+
+    if (changed.length === 0) {
+        writeInstalledVersion(workspacePath, currentVersion);
+        vscode.window.showInformationMessage(`Spec-Kit assets already match version ${currentVersion}.`);
+        return;
+    }
+
+    const changelog = await vscode.workspace.openTextDocument({
+        language: 'markdown',
+        content: formatUpgradeChangelog(changed, installedVersion, currentVersion, workspaceFolder, profileName)
+    });
+    await vscode.window.showTextDocument(changelog, { preview: true });
+
+    const answer = await vscode.window.showInformationMessage(
+        `Upgrade Spec-Kit assets from ${installedVersion} to ${currentVersion}? ${changed.length} file${changed.length === 1 ? '' : 's'} changed.`,
+        'Upgrade', 'Cancel'
+    );
+    if (answer !== 'Upgrade') {
         return;
     }
 
-    // If destination exists, merge settings
-    if (fs.existsSync(destSettings)) {
+    try {
+        const result = await copySetupFiles(__dirname, workspacePath, reviewSetupChanges, profileName);
+        if (!result) {
+            return;
+        }
+
+        vscode.window.showInformationMessage(
+            `✅ Spec-Kit upgraded to ${currentVersion}: ${result.written.length} updated, ` +
+            `${result.merged.length + result.conflicted.length} merged, ${result.kept.length} kept. ` +
+            `settings.json: ${formatSettingsReport(result.settings)}.`
+        );
+        if (result.conflicted.length > 0) {
+            vscode.window.showWarningMessage(
+                `Merge conflicts in ${result.conflicted.join(', ')}. Resolve the conflict markers before using these files.`
+            );
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(path.join(workspacePath, result.conflicted[0])));
+        }
+    } catch (err) {
+        vscode.window.showErrorMessage(`Failed to upgrade Spec-Kit: ${err.message}`);
+    }
+}
+
+function formatUpgradeChangelog(changed, installedVersion, currentVersion, workspaceFolder, profileName) {
+    const lines = [
+        `# Spec-Kit Upgrade: ${installedVersion} → ${currentVersion}`,
+        '',
+        `Workspace folder: \`${workspaceFolder.uri.fsPath}\``,
+        `Setup profile: ${profileName || 'built-in'}`,
+        ''
+    ];
+
+    const remaining = [...changed];
+    for (const category of SETUP_CATEGORIES) {
+        const files = remaining.filter(file => file.relPath.startsWith(category.prefix));
+        if (files.length === 0) {
+            continue;
+        }
+        files.forEach(file => remaining.splice(remaining.indexOf(file), 1));
+
+        lines.push(`## ${category.label} (${files.length})`, '');
+        for (const file of files) {
+            const change = file.local === null ? 'added' : 'updated';
+            const note = file.status === 'locally-modified' || file.status === 'both-modified'
+                ? ' - has local changes, you will be asked what to do'
+                : '';
+            lines.push(`- \`${file.relPath.slice(category.prefix.length)}\` ${change}${note}`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+// ========== SETUP REMOVAL ==========
+
+const CONSTITUTION_FILE = '.specify/memory/constitution.md';
+
+/**
+ * Undo Initialize: delete the files it installed and the settings keys it added,
+ * after showing what would go
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Asked for when omitted
+ * @returns {Promise<boolean>} true when something was removed
+ */
+async function removeSpecKit(workspaceFolder) {
+    workspaceFolder = workspaceFolder || await pickWorkspaceFolder(
+        'Select the workspace folder to remove Spec-Kit from',
+        getSpecFolders().filter(folder => fs.existsSync(path.join(folder.uri.fsPath, '.specify')))
+    );
+    if (!workspaceFolder) {
+        return false;
+    }
+
+    const workspacePath = workspaceFolder.uri.fsPath;
+    if (!fs.existsSync(path.join(workspacePath, '.specify'))) {
+        vscode.window.showWarningMessage('.specify/ directory not found. Spec-Kit is not installed in this folder.');
+        return false;
+    }
+
+    // Workspaces set up before the manifest existed: only files identical to the bundled ones are known to be ours
+    const manifest = readManifest(workspacePath);
+    let installed = listInstalledFiles(workspacePath);
+    const untracked = Object.keys(manifest.files).length === 0;
+    if (untracked) {
         try {
-            const destContent = fs.readFileSync(destSettings, 'utf8');
-            const destJson = JSON.parse(destContent);
-            
-            // Merge settings (source takes precedence for Spec-Kit settings)
-            const merged = { ...destJson, ...sourceJson };
-            
-            fs.writeFileSync(destSettings, JSON.stringify(merged, null, 4));
+            installed = planSetupFiles(__dirname, workspacePath)
+                .filter(file => file.status === 'unchanged')
+                .map(file => ({ relPath: file.relPath, modified: false }));
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to remove Spec-Kit: ${err.message}`);
+            return false;
+        }
+    }
+
+    const options = [];
+    if (fs.existsSync(path.join(workspacePath, 'specs'))) {
+        options.push({ label: 'Keep specs/', description: 'Feature specs, plans and tasks', id: 'specs', picked: true });
+    }
+    if (installed.some(file => file.relPath === CONSTITUTION_FILE)) {
+        options.push({ label: 'Keep constitution.md', description: CONSTITUTION_FILE, id: 'constitution', picked: true });
+    }
+    if (installed.some(file => file.modified)) {
+        options.push({ label: 'Keep files edited since they were installed', id: 'modified', picked: true });
+    }
+
+    let keep = new Set();
+    if (options.length > 0) {
+        const picked = await vscode.window.showQuickPick(options, {
+            canPickMany: true,
+            placeHolder: 'Select what to keep (unchecked items are deleted)'
+        });
+        if (!picked) {
+            return false;
+        }
+        keep = new Set(picked.map(option => option.id));
+    }
+
+    const removal = { files: [], kept: [], settings: [], settingsText: null };
+    for (const file of installed) {
+        const kept = (file.relPath === CONSTITUTION_FILE && keep.has('constitution')) ||
+            (file.modified && keep.has('modified'));
+        (kept ? removal.kept : removal.files).push(file);
+    }
+    if (fs.existsSync(path.join(workspacePath, 'specs')) && !keep.has('specs')) {
+        removal.files.push({ relPath: 'specs/', modified: true });
+    }
+
+    const settingsPath = path.join(workspacePath, '.vscode', 'settings.json');
+    if (manifest.settings && fs.existsSync(settingsPath)) {
+        try {
+            const reverted = removeJsonc(fs.readFileSync(settingsPath, 'utf8'), manifest.settings);
+            removal.settings = reverted.removed.map(keyPath => keyPath.join(' › '));
+            removal.settingsText = reverted.text;
         } catch (err) {
-            // If merge fails, skip settings.json
             vscode.window.showWarningMessage(
-                'Could not merge .vscode/settings.json. Manual merge may be required.'
+                `Could not read .vscode/settings.json (${err.message}). Its Spec-Kit settings will be left in place.`
             );
         }
-    } else {
-        // No existing settings, just copy
-        fs.copyFileSync(sourceSettings, destSettings);
     }
+
+    if (removal.files.length === 0 && removal.settings.length === 0) {
+        vscode.window.showInformationMessage('Nothing to remove: no installed Spec-Kit files or settings were found.');
+        return false;
+    }
+
+    const preview = await vscode.workspace.openTextDocument({
+        language: 'markdown',
+        content: formatRemovalPreview(removal, workspaceFolder, untracked)
+    });
+    await vscode.window.showTextDocument(preview, { preview: true });
+
+    const answer = await vscode.window.showWarningMessage(
+        `Remove Spec-Kit from ${workspaceFolder.name}? ${removal.files.length} file${removal.files.length === 1 ? '' : 's'} ` +
+        `and ${removal.settings.length} setting${removal.settings.length === 1 ? '' : 's'} will be deleted (see the preview).`,
+        { modal: true },
+        'Remove'
+    );
+    if (answer !== 'Remove') {
+        return false;
+    }
+
+    try {
+        const relPaths = removal.files.map(file => file.relPath);
+        if (removal.settingsText !== null) {
+            // A settings.json left with nothing but "{}" was most likely created by Initialize
+            if (/^\s*\{\s*\}\s*$/.test(removal.settingsText)) {
+                relPaths.push('.vscode/settings.json');
+            } else {
+                fs.writeFileSync(settingsPath, removal.settingsText);
+            }
+        }
+        removeSetupFiles(workspacePath, relPaths);
+
+        vscode.window.showInformationMessage(
+            `🗑️ Spec-Kit removed from ${workspaceFolder.name}: ${removal.files.length} deleted, ` +
+            `${removal.settings.length} settings reverted, ${removal.kept.length} kept.`
+        );
+        return true;
+    } catch (err) {
+        vscode.window.showErrorMessage(`Failed to remove Spec-Kit: ${err.message}`);
+        return false;
+    }
+}
+
+function formatRemovalPreview(removal, workspaceFolder, untracked) {
+    const lines = [
+        '# Remove Spec-Kit (dry run)',
+        '',
+        `Workspace folder: \`${workspaceFolder.uri.fsPath}\``,
+        ''
+    ];
+    if (untracked) {
+        lines.push('> No install record found: only files identical to the bundled copies are removed.', '');
+    }
+
+    lines.push(`## Delete (${removal.files.length})`, '');
+    for (const file of removal.files) {
+        lines.push(`- \`${file.relPath}\`${file.relPath === 'specs/' ? ' - all feature specs' : file.modified ? ' - edited since install' : ''}`);
+    }
+    lines.push('');
+
+    if (removal.settings.length > 0) {
+        lines.push(`## Revert .vscode/settings.json keys (${removal.settings.length})`, '');
+        removal.settings.forEach(key => lines.push(`- \`${key}\``));
+        lines.push('');
+    }
+
+    if (removal.kept.length > 0) {
+        lines.push(`## Keep (${removal.kept.length})`, '');
+        removal.kept.forEach(file => lines.push(`- \`${file.relPath}\``));
+        lines.push('');
+    }
+
+    return lines.join('\n');
 }
 
 /**
@@ -125,44 +728,130 @@ async function copyVSCodeSettings(sourcePath, destPath) {
 function activate(context) {
     console.log('Spec Task Viewer is now active');
 
-    const taskProvider = new SpecTaskProvider();
-    const workflowProvider = new SpecWorkflowProvider();
+    const taskProvider = new SpecTaskProvider(context);
+    const nextTasksProvider = new NextTasksProvider(taskProvider);
+    const workflowProvider = new SpecWorkflowProvider(context);
     
     vscode.window.registerTreeDataProvider('specTaskView', taskProvider);
+    vscode.window.registerTreeDataProvider('specNextTasksView', nextTasksProvider);
     vscode.window.registerTreeDataProvider('specWorkflowView', workflowProvider);
 
+    watchSpecFiles(context, taskProvider, workflowProvider);
+    watchInputEditors(context);
+    watchSetupDiffs(context);
+    restoreRun(context);
+
     context.subscriptions.push(
         vscode.commands.registerCommand('specTaskViewer.refresh', () => {
+            branchCache.clear();
             taskProvider.refresh();
             workflowProvider.refresh();
         }),
         
         vscode.commands.registerCommand('specTaskViewer.runAll', async () => {
-            await runAllTasks();
+            await runAllTasks(context);
+        }),
+        
+        vscode.commands.registerCommand('specTaskViewer.pauseRun', () => pauseRun(context)),
+        
+        vscode.commands.registerCommand('specTaskViewer.resumeRun', async () => {
+            await resumeRun(context);
+        }),
+        
+        vscode.commands.registerCommand('specTaskViewer.cancelRun', async () => {
+            await cancelRun(context);
+        }),
+        
+        vscode.commands.registerCommand('specTaskViewer.showGraph', async (item) => {
+            await showTaskGraph(taskProvider, item);
         }),
         
+        taskProvider.onDidChangeTreeData(() => refreshTaskGraphs()),
+        
         vscode.commands.registerCommand('specTaskViewer.implement', async (taskItem) => {
-            await implementTask(taskItem);
+            await implementTask(taskItem, context);
         }),
         
         vscode.commands.registerCommand('specTaskViewer.verify', async (taskItem) => {
-            await verifyTask(taskItem);
+            await verifyTask(taskItem, context);
         }),
         
         vscode.commands.registerCommand('specTaskViewer.implementPhase', async (phaseItem) => {
-            await implementPhase(phaseItem);
+            await implementPhase(phaseItem, context);
         }),
         
         vscode.commands.registerCommand('specTaskViewer.verifyPhase', async (phaseItem) => {
-            await verifyPhase(phaseItem);
+            await verifyPhase(phaseItem, context);
+        }),
+        
+        vscode.commands.registerCommand('specTaskViewer.markComplete', async (item) => {
+            if (!item) {
+                return;  // Only offered on tree items
+            }
+            const tasks = item.type === 'phase' ? item.tasks || [] : [item];
+            if (await setTaskCompletion(tasks, true)) {
+                taskProvider.refresh();
+            }
+        }),
+        
+        vscode.commands.registerCommand('specTaskViewer.markIncomplete', async (item) => {
+            if (!item) {
+                return;  // Only offered on tree items
+            }
+            const tasks = item.type === 'phase' ? item.tasks || [] : [item];
+            if (await setTaskCompletion(tasks, false)) {
+                taskProvider.refresh();
+            }
         }),
         
         vscode.commands.registerCommand('specWorkflow.runStep', async (stepItem) => {
-            await runWorkflowStep(stepItem);
+            await runWorkflowStep(stepItem, context);
         }),
         
         vscode.commands.registerCommand('specWorkflow.viewOutput', async (stepItem) => {
-            await viewWorkflowOutput(stepItem);
+            await viewWorkflowOutput(stepItem, context);
+        }),
+        
+        vscode.commands.registerCommand('specWorkflow.upgradeSpecKit', async (stepItem) => {
+            await upgradeSpecKit(stepItem?.workspaceFolder);
+            workflowProvider.refresh();
+        }),
+        
+        vscode.commands.registerCommand('specWorkflow.removeSpecKit', async (item) => {
+            if (await removeSpecKit(item?.workspaceFolder)) {
+                workflowProvider.refresh();
+                taskProvider.refresh();
+            }
+        }),
+        vscode.commands.registerCommand('specWorkflow.setActiveFeature', async (featureItem) => {
+            const workspaceFolder = featureItem
+                ? featureItem.workspaceFolder
+                : await pickWorkspaceFolder('Select the workspace folder of the feature');
+            if (!workspaceFolder) {
+                return;
+            }
+            const feature = featureItem ? featureItem.feature : await pickFeature('Select the active feature', workspaceFolder);
+            if (!feature) {
+                return;
+            }
+            await setActiveFeature(context, workspaceFolder, feature);
+            taskProvider.refresh();
+            workflowProvider.refresh();
+        }),
+        vscode.commands.registerCommand('specWorkflow.savePreset', async (stepItem) => {
+            await saveInputPreset(context, workflowProvider.getStepDefinitions(), stepItem);
+        }),
+        vscode.commands.registerCommand('specWorkflow.exportPresets', async () => {
+            await exportInputPresets(context);
+        }),
+        vscode.commands.registerCommand('specWorkflow.sendInput', sendStepInput),
+        vscode.commands.registerCommand('specWorkflow.attachFiles', attachFilesToInput),
+        vscode.commands.registerCommand('specWorkflow.attachSelection', attachSelectionToInput),
+        vscode.commands.registerCommand('specWorkflow.newFeature', async (item) => {
+            if (await createNewFeature(context, item?.workspaceFolder)) {
+                taskProvider.refresh();
+                workflowProvider.refresh();
+            }
         })
     );
 }
@@ -170,33 +859,120 @@ function activate(context) {
 // ========== WORKFLOW PROVIDER ==========
 
 class SpecWorkflowProvider {
-    constructor() {
+    constructor(context) {
+        this.context = context;
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.rootSteps = new Map();     // "<folder>:<step id>" -> WorkflowStepItem currently shown at a folder root
+        this.featureItems = new Map();  // "<folder>:<feature>" -> FeatureItem currently shown
     }
 
     refresh() {
         this._onDidChangeTreeData.fire();
     }
 
-    getTreeItem(element) {
-        return element;
+    /**
+     * Re-render the steps of one feature
+     * @param {vscode.WorkspaceFolder} workspaceFolder
+     * @param {string} feature - Folder name under specs/
+     */
+    refreshFeature(workspaceFolder, feature) {
+        const featureItem = this.featureItems.get(`${workspaceFolder.uri.fsPath}:${feature}`);
+        if (featureItem) {
+            this._onDidChangeTreeData.fire(featureItem);
+        } else {
+            this.refresh();
+        }
     }
 
-    async getChildren(element) {
-        if (!element) {
-            return this.getWorkflowSteps();
+    /**
+     * Re-check a workspace-level step and refresh the root only if its status changed
+     * @param {vscode.WorkspaceFolder} workspaceFolder
+     * @param {string} stepId
+     */
+    async refreshRootStep(workspaceFolder, stepId) {
+        const stepItem = this.rootSteps.get(`${workspaceFolder.uri.fsPath}:${stepId}`);
+        if (!stepItem) {
+            return;
+        }
+
+        const status = await this.checkStepStatus(stepItem.step, workspaceFolder);
+        if (status.state !== stepItem.status) {
+            this.refresh();
+        }
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        if (!element) {
+            return this.getRootItems();
+        } else if (element.type === 'workspaceFolder') {
+            return this.getFolderItems(element.workspaceFolder);
+        } else if (element.type === 'feature') {
+            return this.getFeatureSteps(element.workspaceFolder, element.feature);
         }
         return [];
     }
 
-    async getWorkflowSteps() {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+    async getRootItems() {
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
+        if (workspaceFolders.length === 0) {
             return [];
         }
+        this.rootSteps.clear();
+        this.featureItems.clear();
+
+        if (workspaceFolders.length === 1) {
+            return this.getFolderItems(workspaceFolders[0]);
+        }
+
+        // Multi-root: one node per Spec-Kit folder, plus Initialize while some folder is not set up
+        const specFolders = getSpecFolders();
+        const items = specFolders.map(folder => new WorkspaceFolderItem(folder));
+        if (specFolders.length < workspaceFolders.length) {
+            const initStep = this.getStepDefinitions().find(step => step.id === 'init');
+            items.unshift(new WorkflowStepItem(initStep, { state: 'pending', detail: '' }));
+        }
+        return items;
+    }
+
+    async getFolderItems(workspaceFolder) {
+        // Workspace-wide steps first, then one node per feature under specs/
+        const items = [];
+        for (const step of this.getStepDefinitions().filter(s => s.scope !== 'feature')) {
+            const status = await this.checkStepStatus(step, workspaceFolder);
+            const stepItem = new WorkflowStepItem(step, status, undefined, workspaceFolder);
+            this.rootSteps.set(`${workspaceFolder.uri.fsPath}:${step.id}`, stepItem);
+            items.push(stepItem);
+        }
+
+        const activeFeature = getActiveFeature(this.context, workspaceFolder);
+        for (const feature of listFeatures(workspaceFolder)) {
+            const featureItem = new FeatureItem(feature, feature === activeFeature, workspaceFolder);
+            this.featureItems.set(`${workspaceFolder.uri.fsPath}:${feature}`, featureItem);
+            items.push(featureItem);
+        }
+
+        return items;
+    }
+
+    async getFeatureSteps(workspaceFolder, feature) {
+        const items = [];
+        for (const step of this.getStepDefinitions().filter(s => s.scope !== 'workspace')) {
+            const status = await this.checkStepStatus(step, workspaceFolder, feature);
+            items.push(new WorkflowStepItem(step, status, feature, workspaceFolder));
+        }
+
+        return items;
+    }
 
-        const steps = [
+    getStepDefinitions() {
+        // scope: 'workspace' steps appear at the root, 'feature' steps under each feature,
+        // 'both' steps in both places (specify starts a new feature from the root)
+        return [
             {
                 id: 'init',
                 label: '0. Initialize Spec-Kit',
@@ -204,6 +980,7 @@ class SpecWorkflowProvider {
                 command: 'copySetupFiles',
                 outputFile: '.specify/',
                 icon: 'rocket',
+                scope: 'workspace',
                 needsInput: false
             },
             {
@@ -213,7 +990,9 @@ class SpecWorkflowProvider {
                 command: '/speckit.constitution',
                 outputFile: '.specify/memory/constitution.md',
                 icon: 'book',
+                scope: 'workspace',
                 needsInput: true,
+                multilineInput: true,
                 inputPrompt: 'Describe project principles (optional - press Enter to skip)'
             },
             {
@@ -222,27 +1001,86 @@ class SpecWorkflowProvider {
                 description: 'User stories & requirements',
                 command: '/speckit.specify',
                 outputFile: 'specs/[feature]/spec.md',
+                template: 'spec-template.md',
                 icon: 'list-unordered',
+                scope: 'both',
                 needsInput: true,
+                multilineInput: true,
                 inputPrompt: 'Describe what to build (optional - press Enter to skip)'
             },
+            {
+                id: 'clarify',
+                label: '2a. Clarify (optional)',
+                description: 'Resolve spec ambiguities',
+                command: '/speckit.clarify',
+                outputFile: 'specs/[feature]/spec.md',
+                icon: 'question',
+                scope: 'feature',
+                optional: true,
+                needsInput: true,
+                inputPrompt: 'Areas to focus clarification on (optional - press Enter to skip)'
+            },
             {
                 id: 'plan',
                 label: '3. Implementation Plan',
                 description: 'Technical approach',
                 command: '/speckit.plan',
                 outputFile: 'specs/[feature]/plan.md',
+                template: 'plan-template.md',
+                upstream: ['spec.md'],
                 icon: 'project',
+                scope: 'feature',
                 needsInput: true,
+                multilineInput: true,
                 inputPrompt: 'Describe tech stack & architecture (optional - press Enter to skip)'
             },
+            {
+                id: 'checklist',
+                label: '3a. Checklist (optional)',
+                description: 'Requirements quality checklist',
+                command: '/speckit.checklist',
+                outputFile: 'specs/[feature]/checklists/',
+                icon: 'checklist',
+                scope: 'feature',
+                optional: true,
+                needsInput: true,
+                inputPrompt: 'Checklist domain, e.g. ux, security, api (optional - press Enter to skip)'
+            },
             {
                 id: 'tasks',
                 label: '4. Task Breakdown',
                 description: 'Actionable tasks',
                 command: '/speckit.tasks',
                 outputFile: 'specs/[feature]/tasks.md',
+                template: 'tasks-template.md',
+                upstream: ['spec.md', 'plan.md'],
                 icon: 'tasklist',
+                scope: 'feature',
+                needsInput: false
+            },
+            {
+                id: 'analyze',
+                label: '4a. Analyze (optional)',
+                description: 'Cross-artifact consistency report',
+                command: '/speckit.analyze',
+                outputFile: 'specs/[feature]/analysis.md',
+                icon: 'search',
+                scope: 'feature',
+                optional: true,
+                needsInput: true,
+                inputPrompt: 'Concerns to focus the analysis on (optional - press Enter to skip)',
+                // The agent is read-only by default, so ask explicitly for the report file the status check looks for
+                promptSuffix: 'Also save the final Specification Analysis Report to analysis.md in the feature directory (no other file changes).'
+            },
+            {
+                id: 'taskstoissues',
+                label: '4b. Tasks to Issues (optional)',
+                description: 'Create GitHub issues from tasks',
+                command: '/speckit.taskstoissues',
+                outputFile: 'specs/[feature]/tasks.md',
+                icon: 'issues',
+                scope: 'feature',
+                optional: true,
                 needsInput: false
             },
             {
@@ -252,581 +1090,2825 @@ class SpecWorkflowProvider {
                 command: '/speckit.implement',
                 outputFile: 'Implementation files',
                 icon: 'rocket',
+                scope: 'feature',
                 needsInput: false
             }
         ];
-
-        const items = [];
-        for (const step of steps) {
-            const status = await this.checkStepStatus(step, workspaceFolder);
-            const item = new WorkflowStepItem(step, status);
-            items.push(item);
-        }
-
-        return items;
     }
 
-    async checkStepStatus(step, workspaceFolder) {
-        const fs = require('fs');
-        const path = require('path');
-
+    /**
+     * @returns {Promise<{state: string, detail: string}>} state is one of
+     *   pending | draft | needs-clarification | stale | complete
+     */
+    async checkStepStatus(step, workspaceFolder, feature) {
         // Check if output file exists
         if (step.id === 'init') {
             const specifyPath = path.join(workspaceFolder.uri.fsPath, '.specify');
-            return fs.existsSync(specifyPath) ? 'complete' : 'pending';
+            if (!fs.existsSync(specifyPath)) {
+                return { state: 'pending', detail: '' };
+            }
+
+            // Assets come from the setup/ bundle of the extension version that initialized the folder
+            const installedVersion = readInstalledVersion(workspaceFolder.uri.fsPath);
+            const currentVersion = getExtensionVersion();
+            if (installedVersion !== currentVersion) {
+                return {
+                    state: 'outdated',
+                    detail: `Spec-Kit assets are out of date (${installedVersion || 'unknown version'}, extension is ${currentVersion})`
+                };
+            }
+            return { state: 'complete', detail: '' };
         } else if (step.id === 'constitution') {
+            // The constitution has no template copy; look for unreplaced [ALL_CAPS] tokens instead
             const filePath = path.join(workspaceFolder.uri.fsPath, step.outputFile);
-            return fs.existsSync(filePath) ? 'complete' : 'pending';
+            return getArtifactStatus(filePath, { placeholders: [], sampleTasks: [], pattern: /\[[A-Z][A-Z0-9_]+\]/g });
+        } else if (feature) {
+            const featurePath = path.join(workspaceFolder.uri.fsPath, 'specs', feature);
+            return this.getFeatureStepStatus(step, featurePath, workspaceFolder);
         } else {
-            // Check if any feature directory exists
-            const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
-            if (!fs.existsSync(specsPath)) {
-                return 'pending';
-            }
-            
-            const features = fs.readdirSync(specsPath);
-            for (const feature of features) {
-                const fileName = step.outputFile.replace('[feature]', feature).split('/').pop();
-                const filePath = path.join(specsPath, feature, fileName);
-                if (fs.existsSync(filePath)) {
-                    return 'complete';
-                }
-            }
-            return 'pending';
+            // Root-level Specification: complete once any feature has a finished spec
+            const statuses = listFeatures(workspaceFolder).map(f =>
+                this.getFeatureStepStatus(step, path.join(workspaceFolder.uri.fsPath, 'specs', f), workspaceFolder)
+            );
+            return statuses.find(status => status.state === 'complete') ||
+                statuses.find(status => status.state !== 'pending') ||
+                { state: 'pending', detail: '' };
+        }
+    }
+
+    getFeatureStepStatus(step, featurePath, workspaceFolder) {
+        if (!step.template) {
+            return { state: this.isFeatureStepComplete(step, featurePath) ? 'complete' : 'pending', detail: '' };
+        }
+
+        const filePath = path.join(featurePath, step.outputFile.split('/').pop());
+        const status = getArtifactStatus(filePath, getTemplateSignature(workspaceFolder, step.template));
+        if (status.state !== 'complete') {
+            return status;
+        }
+
+        // A finished artifact goes stale when something it was generated from changed afterwards
+        const modified = fs.statSync(filePath).mtimeMs;
+        const changedUpstream = (step.upstream || []).filter(file => {
+            const upstreamPath = path.join(featurePath, file);
+            return fs.existsSync(upstreamPath) && fs.statSync(upstreamPath).mtimeMs > modified;
+        });
+        if (changedUpstream.length > 0) {
+            return { state: 'stale', detail: `${changedUpstream.join(', ')} changed after ${path.basename(filePath)}` };
+        }
+
+        return status;
+    }
+
+    isFeatureStepComplete(step, featurePath) {
+        if (step.id === 'clarify') {
+            // /speckit.clarify records answers under a "## Clarifications" section in spec.md
+            const specPath = path.join(featurePath, 'spec.md');
+            return fs.existsSync(specPath) && /^## Clarifications\s*$/m.test(fs.readFileSync(specPath, 'utf8'));
+        } else if (step.id === 'checklist') {
+            const checklistsPath = path.join(featurePath, 'checklists');
+            return fs.existsSync(checklistsPath) && fs.readdirSync(checklistsPath).some(file => file.endsWith('.md'));
+        } else if (step.id === 'taskstoissues') {
+            // Issues live on GitHub, so the only local trace is an issue link written back into tasks.md
+            const tasksPath = path.join(featurePath, 'tasks.md');
+            return fs.existsSync(tasksPath) && /github\.com\/[\w.-]+\/[\w.-]+\/issues\/\d+/.test(fs.readFileSync(tasksPath, 'utf8'));
         }
+
+        const fileName = step.outputFile.split('/').pop();
+        return fs.existsSync(path.join(featurePath, fileName));
     }
 }
 
+const STATUS_ICONS = {
+    complete: '✅',
+    pending: '⏳',
+    draft: '📝',
+    'needs-clarification': '❓',
+    stale: '⚠️',
+    outdated: '⬆️'
+};
+
 class WorkflowStepItem extends vscode.TreeItem {
-    constructor(step, status) {
-        const label = status === 'complete' ? `✅ ${step.label}` : `⏳ ${step.label}`;
+    constructor(step, status, feature, workspaceFolder) {
+        const label = `${STATUS_ICONS[status.state] || STATUS_ICONS.pending} ${step.label}`;
         super(label, vscode.TreeItemCollapsibleState.None);
         
         this.step = step;
-        this.status = status;
-        this.description = step.description;
-        this.tooltip = `${step.label}\n${step.description}\nOutput: ${step.outputFile}`;
-        this.contextValue = 'workflowStep';
+        this.status = status.state;
+        this.feature = feature;
+        this.workspaceFolder = workspaceFolder;  // undefined for the multi-root Initialize item
+        // Only the in-between states are worth spelling out next to the label
+        this.description = (status.state === 'complete' || status.state === 'pending')
+            ? step.description
+            : `${step.description} · ${status.state.replace('-', ' ')}`;
+        const outputFile = feature ? step.outputFile.replace('[feature]', feature) : step.outputFile;
+        this.tooltip = `${step.label}\n${step.description}\nOutput: ${outputFile}` +
+            (status.detail ? `\nStatus: ${status.state} - ${status.detail}` : '') +
+            (step.optional ? '\nOptional step' : '');
+        // Specify always creates a new feature, so inside a feature it can only show its output
+        if (feature && step.id === 'specify') {
+            this.contextValue = 'workflowStepOutput';
+        } else if (step.id === 'init' && status.state === 'outdated') {
+            this.contextValue = 'workflowStepUpgrade';
+        } else {
+            this.contextValue = 'workflowStep';
+        }
         this.iconPath = new vscode.ThemeIcon(step.icon);
     }
 }
 
-async function runWorkflowStep(stepItem) {
-    const step = stepItem.step;
-    
-    let userInput = '';
-    if (step.needsInput && step.id !== 'init') {
-        // Get user input for steps that need it
-        let placeholder = '';
-        let promptText = step.inputPrompt;
-        
-        if (step.id === 'constitution') {
-            placeholder = 'Create principles focused on code quality, testing standards...';
-        } else if (step.id === 'specify') {
-            placeholder = 'Build an application that can help me organize my photos...';
-        } else if (step.id === 'plan') {
-            placeholder = 'The application uses Vite with minimal number of libraries...';
-        } else if (step.id === 'tasks') {
-            placeholder = 'specs/001-calculator';
-        } else if (step.id === 'implement') {
-            placeholder = 'specs/001-calculator';
-        }
-        
-        userInput = await vscode.window.showInputBox({
-            prompt: promptText,
-            placeHolder: placeholder,
-            value: (step.id === 'tasks' || step.id === 'implement') ? 'specs/001-calculator' : ''
-        });
+class FeatureItem extends vscode.TreeItem {
+    constructor(feature, isActive, workspaceFolder) {
+        super(
+            feature,
+            isActive ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+        );
         
-        if (userInput === undefined) {
-            return; // User cancelled
-        }
+        this.type = 'feature';
+        this.feature = feature;
+        this.workspaceFolder = workspaceFolder;
+        this.description = isActive ? 'active' : '';
+        this.tooltip = `specs/${feature}` + (isActive ? '\nActive feature' : '');
+        this.contextValue = 'feature';
+        this.iconPath = new vscode.ThemeIcon(isActive ? 'folder-active' : 'folder');
     }
-    
-    // Handle step execution
-    if (step.id === 'init') {
-        // Check if already initialized
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
-            vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
-            return;
-        }
+}
 
-        const specifyPath = path.join(workspaceFolder.uri.fsPath, '.specify');
-        
-        if (fs.existsSync(specifyPath)) {
-            const choice = await vscode.window.showInformationMessage(
-                'Spec-Kit already initialized! .specify/ folder exists.',
-                'Open .specify/', 'Reinitialize', 'Cancel'
-            );
-            
-            if (choice === 'Open .specify/') {
-                await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
-                return;
-            } else if (choice === 'Reinitialize') {
-                // Continue to reinitialize
-            } else {
-                return;
-            }
-        }
-        
-        // Copy setup files from extension to workspace
-        try {
-            vscode.window.showInformationMessage('Initializing Spec-Kit...');
-            
-            // Get extension path - works in both development and production
-            const extensionPath = __dirname;
-            
-            const copiedCount = await copySetupFiles(extensionPath, workspaceFolder.uri.fsPath);
-            
-            vscode.window.showInformationMessage(
-                `✅ Spec-Kit initialized successfully!\n\n` +
-                `Created:\n` +
-                `  • .github/ (agents & prompts)\n` +
-                `  • .specify/ (templates & scripts)\n` +
-                `  • .vscode/settings.json (merged)\n\n` +
-                `Next: Run Step 1 - Constitution`
-            );
-            
-            // Open .specify folder to show user
-            setTimeout(async () => {
-                await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
-            }, 1000);
-            
-        } catch (err) {
-            vscode.window.showErrorMessage(
-                `Failed to initialize Spec-Kit: ${err.message}\n\n` +
-                `Please check that the extension has the setup/ folder.`
-            );
-        }
-        
-        return;
-    }
-    
-    // For other steps, prepare the command to copy
-    let command = '';
-    let fullPrompt = '';
-    
-    if (step.id === 'constitution') {
-        command = '/speckit.constitution';
-        fullPrompt = userInput ? `${command} ${userInput}` : command;
-    } else if (step.id === 'specify') {
-        command = '/speckit.specify';
-        fullPrompt = userInput ? `${command} ${userInput}` : command;
-    } else if (step.id === 'plan') {
-        command = '/speckit.plan';
-        fullPrompt = userInput ? `${command} ${userInput}` : command;
-    } else if (step.id === 'tasks') {
-        command = '/speckit.tasks';
-        fullPrompt = command; // tasks doesn't need additional input in the command
-    } else if (step.id === 'implement') {
-        command = '/speckit.implement';
-        fullPrompt = command; // implement doesn't need additional input in the command
-    }
-    
-    // Copy to clipboard
-    await vscode.env.clipboard.writeText(fullPrompt);
-    
-    // Show notification with button to open Copilot Chat
-    const choice = await vscode.window.showInformationMessage(
-        `📋 Copied to clipboard: ${fullPrompt}\n\nPaste this in GitHub Copilot Chat to run the workflow step.`,
-        'Open Copilot Chat',
-        'Done'
-    );
-    
-    if (choice === 'Open Copilot Chat') {
-        try {
-            // Open Copilot Chat panel
-            await vscode.commands.executeCommand('workbench.action.chat.open');
-        } catch (err) {
-            vscode.window.showErrorMessage('GitHub Copilot not available. Make sure GitHub Copilot Chat is installed.');
-        }
-    }
+// ========== ARTIFACT STATUS ==========
+
+// Bracketed tokens that stay meaningful in filled-in artifacts (checkboxes, task markers, format legend)
+const TEMPLATE_MARKERS = /^\[( |x|X|P|P\?|ID|Story|US\d+)\]$/;
+
+// All-caps tokens such as [FEATURE NAME] or [DATE]; lowercase ones like [name] or [link] also turn up in real artifacts
+const TEMPLATE_PLACEHOLDER = /^\[[^a-z]*[A-Z][^a-z]*\]$/;
+
+// Sample tasks from tasks-template.md that may legitimately survive in a real task list
+const SAMPLE_TASK_THRESHOLD = 3;
+
+function stripHtmlComments(content) {
+    return content.replace(/<!--[\s\S]*?-->/g, '');
 }
 
-async function viewWorkflowOutput(stepItem) {
-    const step = stepItem.step;
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) {
-        return;
+/**
+ * Collect what an unfilled copy of a .specify template looks like
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @param {string} templateName - e.g. 'spec-template.md'
+ * @returns {{placeholders: string[], sampleTasks: string[]}}
+ */
+function getTemplateSignature(workspaceFolder, templateName) {
+    // Prefer the workspace copy (it may be customised), fall back to the bundled one
+    const templatePath = [
+        path.join(workspaceFolder.uri.fsPath, '.specify', 'templates', templateName),
+        path.join(__dirname, 'setup', '.specify', 'templates', templateName)
+    ].find(candidate => fs.existsSync(candidate));
+
+    if (!templatePath) {
+        return { placeholders: [], sampleTasks: [] };
     }
 
-    const fs = require('fs');
-    const path = require('path');
-    
-    // Find output file
-    if (step.id === 'init') {
-        const specifyPath = path.join(workspaceFolder.uri.fsPath, '.specify');
-        if (fs.existsSync(specifyPath)) {
-            await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
-            vscode.window.showInformationMessage('Spec-Kit initialized! Check .specify/ folder');
-        } else {
-            vscode.window.showWarningMessage('.specify/ directory not found. Run initialization first.');
-        }
-    } else if (step.id === 'constitution') {
-        const filePath = path.join(workspaceFolder.uri.fsPath, step.outputFile);
-        if (fs.existsSync(filePath)) {
-            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(filePath));
-        } else {
-            vscode.window.showWarningMessage(`File not found: ${step.outputFile}\nRun this step first.`);
-        }
-    } else {
-        // List available features
-        const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
-        if (!fs.existsSync(specsPath)) {
-            vscode.window.showWarningMessage('No specs/ directory found. Run Step 2 first.');
-            return;
-        }
-        
-        const features = fs.readdirSync(specsPath);
-        if (features.length === 0) {
-            vscode.window.showWarningMessage('No features found. Run Step 2 first.');
-            return;
-        }
-        
-        // Let user pick feature
-        const feature = await vscode.window.showQuickPick(features, {
-            placeHolder: 'Select feature to view'
-        });
-        
-        if (!feature) {
-            return;
-        }
-        
-        const fileName = step.outputFile.replace('[feature]', feature).split('/').pop();
-        const filePath = path.join(specsPath, feature, fileName);
-        
-        if (fs.existsSync(filePath)) {
-            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(filePath));
-        } else {
-            vscode.window.showWarningMessage(`File not found: ${fileName}\nRun ${step.label} for this feature first.`);
+    const content = stripHtmlComments(fs.readFileSync(templatePath, 'utf8'));
+    const placeholders = new Set();
+
+    // Innermost [...] tokens unique to the template, e.g. [FEATURE NAME], [DATE], [PROJECT NAME]
+    for (const match of content.matchAll(/\[[^\[\]\n]+\]/g)) {
+        if (TEMPLATE_PLACEHOLDER.test(match[0]) && !TEMPLATE_MARKERS.test(match[0])) {
+            placeholders.add(match[0]);
         }
     }
+    if (content.includes('$ARGUMENTS')) {
+        placeholders.add('$ARGUMENTS');
+    }
+
+    const sampleTasks = content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => /^- \[ \] T\d+ /.test(line));
+
+    return { placeholders: [...placeholders], sampleTasks };
 }
 
-class SpecTaskProvider {
-    constructor() {
-        this._onDidChangeTreeData = new vscode.EventEmitter();
-        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+/**
+ * Classify a generated artifact against the signature of its template
+ * @param {string} filePath - Artifact path
+ * @param {{placeholders: string[], sampleTasks: string[], pattern?: RegExp}} signature
+ * @returns {{state: string, detail: string}} state is pending | draft | needs-clarification | complete
+ */
+function getArtifactStatus(filePath, signature) {
+    if (!fs.existsSync(filePath)) {
+        return { state: 'pending', detail: '' };
     }
 
-    refresh() {
-        this._onDidChangeTreeData.fire();
+    const content = stripHtmlComments(fs.readFileSync(filePath, 'utf8'));
+    if (content.trim() === '') {
+        return { state: 'draft', detail: 'File is empty' };
     }
 
-    getTreeItem(element) {
-        return element;
+    const unfilled = signature.placeholders.filter(placeholder => content.includes(placeholder));
+    if (signature.pattern) {
+        unfilled.push(...new Set(content.match(signature.pattern) || []));
+    }
+    if (unfilled.length > 0) {
+        const shown = unfilled.slice(0, 3).join(', ') + (unfilled.length > 3 ? ', ...' : '');
+        return { state: 'draft', detail: `${unfilled.length} unfilled placeholder(s): ${shown}` };
     }
 
-    async getChildren(element) {
-        if (!element) {
-            // Root level - find tasks.md files
-            return this.findTasksFiles();
-        } else if (element.type === 'phase') {
-            // Return tasks for this phase
-            return element.tasks || [];
-        }
-        return [];
+    const lines = new Set(content.split(/\r?\n/).map(line => line.trim()));
+    const samples = signature.sampleTasks.filter(task => lines.has(task));
+    if (samples.length >= SAMPLE_TASK_THRESHOLD) {
+        return { state: 'draft', detail: `${samples.length} sample tasks from tasks-template.md remain` };
     }
 
-    async findTasksFiles() {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
-            return [];
-        }
+    const clarifications = (content.match(/NEEDS CLARIFICATION/g) || []).length;
+    if (clarifications > 0) {
+        return { state: 'needs-clarification', detail: `${clarifications} NEEDS CLARIFICATION marker(s)` };
+    }
 
-        const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
-        if (!fs.existsSync(specsPath)) {
-            return [new TaskItem('No specs/ folder found', '', 'info', vscode.TreeItemCollapsibleState.None)];
-        }
+    return { state: 'complete', detail: '' };
+}
 
-        // Find all tasks.md files
-        const phases = [];
-        const features = fs.readdirSync(specsPath);
-        
-        for (const feature of features) {
-            const tasksPath = path.join(specsPath, feature, 'tasks.md');
-            if (fs.existsSync(tasksPath)) {
-                const phasesFromFile = await this.parseTasksFile(tasksPath);
-                phases.push(...phasesFromFile);
-            }
-        }
+// ========== FEATURES ==========
 
-        return phases.length > 0 ? phases : [new TaskItem('No tasks found', '', 'info', vscode.TreeItemCollapsibleState.None)];
-    }
+const ACTIVE_FEATURE_KEY = 'traycer.activeFeature';
 
-    async parseTasksFile(filePath) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-        const phases = [];
-        let currentPhase = null;
-        let currentTasks = [];
+// Current branch per folder path, so the views do not run git on every render; watchSpecFiles
+// drops an entry when the folder's HEAD changes
+const branchCache = new Map();
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            
-            // Detect phase headers: "## Phase X: Name"
-            const phaseMatch = line.match(/^## (Phase \d+): (.+)/);
-            if (phaseMatch) {
-                // Save previous phase if exists
-                if (currentPhase) {
-                    currentPhase.tasks = currentTasks;
-                    phases.push(currentPhase);
-                }
-                
-                const phaseName = `${phaseMatch[1]}: ${phaseMatch[2]}`;
-                currentPhase = new TaskItem(
-                    phaseName,
+/**
+ * List feature directories under specs/, sorted by name (NNN-short-name)
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @returns {string[]} Feature directory names
+ */
+function listFeatures(workspaceFolder) {
+    const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
+    if (!fs.existsSync(specsPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(specsPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Get the active feature of a folder: the one last chosen, else the one of the current git branch.
+ * A stored feature whose directory no longer exists is ignored.
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @returns {string|undefined} Feature directory name
+ */
+function getActiveFeature(context, workspaceFolder) {
+    const stored = context.workspaceState.get(ACTIVE_FEATURE_KEY);
+    // Stored per folder path; older versions kept a single feature name
+    const feature = typeof stored === 'string' ? stored : stored?.[workspaceFolder.uri.fsPath];
+    if (feature && listFeatures(workspaceFolder).includes(feature)) {
+        return feature;
+    }
+    return getBranchFeature(workspaceFolder);
+}
+
+/**
+ * Feature the .specify scripts would resolve: SPECIFY_FEATURE, else the current git branch
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @returns {string|undefined} Feature directory name
+ */
+function getBranchFeature(workspaceFolder) {
+    const branch = process.env.SPECIFY_FEATURE || getCachedBranch(workspaceFolder.uri.fsPath);
+    return branch ? findFeatureForBranch(branch, listFeatures(workspaceFolder)) : undefined;
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {string|null} Current branch, looked up once per HEAD change
+ */
+function getCachedBranch(workspacePath) {
+    if (!branchCache.has(workspacePath)) {
+        branchCache.set(workspacePath, getCurrentBranch(workspacePath));
+    }
+    return branchCache.get(workspacePath);
+}
+
+/**
+ * Feature a step targets when it was not started from a feature node: the active one (the
+ * one chosen, else the current branch's), then the user's pick (remembered as the active feature)
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @param {string} placeHolder - For the quick pick
+ * @returns {Promise<string|undefined>} Feature directory name
+ */
+async function detectFeature(context, workspaceFolder, placeHolder) {
+    const detected = getActiveFeature(context, workspaceFolder);
+    if (detected) {
+        return detected;
+    }
+
+    const picked = await pickFeature(placeHolder, workspaceFolder);
+    if (picked) {
+        await setActiveFeature(context, workspaceFolder, picked);
+        await vscode.commands.executeCommand('specTaskViewer.refresh');
+    }
+    return picked;
+}
+
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @param {string} feature - Feature directory name
+ */
+async function setActiveFeature(context, workspaceFolder, feature) {
+    const stored = context.workspaceState.get(ACTIVE_FEATURE_KEY);
+    const activeFeatures = (stored && typeof stored === 'object') ? { ...stored } : {};
+    activeFeatures[workspaceFolder.uri.fsPath] = feature;
+    await context.workspaceState.update(ACTIVE_FEATURE_KEY, activeFeatures);
+}
+
+/**
+ * Let the user pick a feature directory under specs/
+ * @param {string} placeHolder
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @returns {Promise<string|undefined>} Feature directory name
+ */
+async function pickFeature(placeHolder, workspaceFolder) {
+    const features = listFeatures(workspaceFolder);
+    if (features.length === 0) {
+        vscode.window.showWarningMessage('No features found. Run Step 2 first.');
+        return undefined;
+    }
+
+    return vscode.window.showQuickPick(features, { placeHolder });
+}
+
+/**
+ * Create a feature without an agent round-trip: next NNN number, git branch, specs/NNN-name/spec.md
+ * from spec-template.md; the new feature becomes the active one
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Asked for when omitted
+ * @returns {Promise<boolean>} true when a feature was created
+ */
+async function createNewFeature(context, workspaceFolder) {
+    workspaceFolder = workspaceFolder || await pickWorkspaceFolder('Select the workspace folder for the new feature');
+    if (!workspaceFolder) {
+        return false;
+    }
+
+    const description = await vscode.window.showInputBox({
+        prompt: 'Describe the feature',
+        placeHolder: 'e.g., Organize photos in albums grouped by date',
+        ignoreFocusOut: true,
+        validateInput: value => (value.trim() ? null : 'Enter a description')
+    });
+    if (!description) {
+        return false;
+    }
+
+    const shortName = await vscode.window.showInputBox({
+        prompt: 'Short name for the branch and specs/ directory (numbered automatically)',
+        value: generateShortName(description),
+        ignoreFocusOut: true,
+        validateInput: value => (cleanShortName(value) ? null : 'Use at least one letter or digit')
+    });
+    if (!shortName) {
+        return false;
+    }
+
+    try {
+        const result = createFeature(workspaceFolder.uri.fsPath, description.trim(), shortName);
+        await setActiveFeature(context, workspaceFolder, result.featureName);
+
+        if (result.warning) {
+            vscode.window.showWarningMessage(result.warning);
+        }
+        vscode.window.showInformationMessage(
+            `✅ Created feature ${result.featureName}` +
+            (result.branchCreated ? ` on branch ${result.featureName}` : '') +
+            '. Fill in spec.md, or run "2. Specification" to have the agent write it.'
+        );
+        await vscode.window.showTextDocument(vscode.Uri.file(result.specFile));
+        return true;
+    } catch (err) {
+        vscode.window.showErrorMessage(`Failed to create feature: ${err.message}`);
+        return false;
+    }
+}
+
+// ========== WORKSPACE FOLDERS ==========
+
+/**
+ * Workspace folders that use Spec-Kit (have .specify/ or specs/).
+ * A single-folder workspace always counts so that it can be initialized.
+ * @returns {vscode.WorkspaceFolder[]}
+ */
+function getSpecFolders() {
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    if (workspaceFolders.length <= 1) {
+        return [...workspaceFolders];
+    }
+
+    return workspaceFolders.filter(folder =>
+        ['.specify', 'specs'].some(dir => fs.existsSync(path.join(folder.uri.fsPath, dir)))
+    );
+}
+
+/**
+ * Pick a workspace folder, skipping the question when there is only one candidate
+ * @param {string} placeHolder
+ * @param {vscode.WorkspaceFolder[]} [folders] - Candidates, Spec-Kit folders by default
+ * @returns {Promise<vscode.WorkspaceFolder|undefined>}
+ */
+async function pickWorkspaceFolder(placeHolder, folders = getSpecFolders()) {
+    if (folders.length <= 1) {
+        return folders[0];
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        folders.map(folder => ({ label: folder.name, description: folder.uri.fsPath, folder })),
+        { placeHolder }
+    );
+    return picked?.folder;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {vscode.WorkspaceFolder|undefined} Workspace folder containing the file
+ */
+function getWorkspaceFolderOf(filePath) {
+    return vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+}
+
+/**
+ * In a multi-root workspace, tell the agent which folder the prompt is about
+ * @param {string} prompt
+ * @param {vscode.WorkspaceFolder} [workspaceFolder]
+ * @returns {string}
+ */
+function withWorkspaceFolder(prompt, workspaceFolder) {
+    if (!workspaceFolder || (vscode.workspace.workspaceFolders || []).length < 2) {
+        return prompt;
+    }
+    return `${prompt}\n\nWorkspace folder: ${workspaceFolder.uri.fsPath} ` +
+        '(paths are relative to this folder; run .specify scripts from it)';
+}
+
+class WorkspaceFolderItem extends vscode.TreeItem {
+    constructor(workspaceFolder) {
+        super(workspaceFolder.name, vscode.TreeItemCollapsibleState.Expanded);
+
+        this.type = 'workspaceFolder';
+        this.workspaceFolder = workspaceFolder;
+        this.tooltip = workspaceFolder.uri.fsPath;
+        this.contextValue = 'workspaceFolder';
+        this.iconPath = new vscode.ThemeIcon('root-folder');
+    }
+}
+
+// ========== STEP INPUTS ==========
+
+const INPUT_HISTORY_KEY = 'traycer.inputHistory';
+const INPUT_PRESETS_KEY = 'traycer.inputPresets';
+const INPUT_HISTORY_LIMIT = 10;
+
+// Presets committed to the repo and shared with the team, keyed by step id
+const PRESETS_FILE = path.join('.specify', 'presets.json');
+
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {string} stepId
+ * @returns {string[]} Recent inputs, newest first
+ */
+function getInputHistory(context, stepId) {
+    return (context.workspaceState.get(INPUT_HISTORY_KEY) || {})[stepId] || [];
+}
+
+async function recordInput(context, stepId, input) {
+    const history = { ...(context.workspaceState.get(INPUT_HISTORY_KEY) || {}) };
+    history[stepId] = [input, ...(history[stepId] || []).filter(previous => previous !== input)]
+        .slice(0, INPUT_HISTORY_LIMIT);
+    await context.workspaceState.update(INPUT_HISTORY_KEY, history);
+}
+
+/**
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @returns {Object<string, {name: string, input: string}[]>} Presets from .specify/presets.json
+ */
+function readSharedPresets(workspaceFolder) {
+    const presetsPath = path.join(workspaceFolder.uri.fsPath, PRESETS_FILE);
+    if (!fs.existsSync(presetsPath)) {
+        return {};
+    }
+
+    try {
+        return parseJsonc(fs.readFileSync(presetsPath, 'utf8'));
+    } catch (err) {
+        vscode.window.showWarningMessage(`Could not read ${PRESETS_FILE} (${err.message}). Shared presets are skipped.`);
+        return {};
+    }
+}
+
+/**
+ * Presets saved in this workspace, then shared ones not shadowed by a local preset of the same name
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @param {string} stepId
+ * @returns {{name: string, input: string, shared: boolean}[]}
+ */
+function getInputPresets(context, workspaceFolder, stepId) {
+    const local = ((context.workspaceState.get(INPUT_PRESETS_KEY) || {})[stepId] || [])
+        .map(preset => ({ ...preset, shared: false }));
+    const shared = (readSharedPresets(workspaceFolder)[stepId] || [])
+        .filter(preset => preset && preset.name && typeof preset.input === 'string')
+        .filter(preset => !local.some(localPreset => localPreset.name === preset.name))
+        .map(preset => ({ name: preset.name, input: preset.input, shared: true }));
+    return [...local, ...shared];
+}
+
+/**
+ * Input box for a workflow step. When the step has presets or recent inputs, a quick pick
+ * offers them first (with the full text as preview) and the choice pre-fills the input box.
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.WorkspaceFolder} workspaceFolder
+ * @param {object} step - Step definition
+ * @param {{prompt: string, placeHolder: string}} options
+ * @returns {Promise<string|undefined>} undefined when cancelled
+ */
+async function askStepInput(context, workspaceFolder, step, options) {
+    const presets = getInputPresets(context, workspaceFolder, step.id);
+    const history = getInputHistory(context, step.id);
+
+    let value = '';
+    if (presets.length > 0 || history.length > 0) {
+        const items = [{ label: '$(edit) New input', value: '' }];
+        if (presets.length > 0) {
+            items.push({ label: 'Presets', kind: vscode.QuickPickItemKind.Separator });
+            items.push(...presets.map(preset => ({
+                label: `$(bookmark) ${preset.name}`,
+                description: preset.shared ? PRESETS_FILE.split(path.sep).join('/') : '',
+                detail: preset.input,
+                value: preset.input
+            })));
+        }
+        if (history.length > 0) {
+            items.push({ label: 'Recent', kind: vscode.QuickPickItemKind.Separator });
+            items.push(...history.map(input => ({ label: `$(history) ${input.split('\n')[0]}`, detail: input, value: input })));
+        }
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: `${step.label}: start from a preset or a recent input`,
+            matchOnDetail: true
+        });
+        if (!picked) {
+            return undefined;
+        }
+        value = picked.value;
+    }
+
+    const multiline = step.multilineInput && vscode.workspace.getConfiguration('traycer').get('input.multiline', true);
+    const input = multiline
+        ? await openInputEditor(step, workspaceFolder, options, value)
+        : await vscode.window.showInputBox({ ...options, value });
+    if (input) {
+        await recordInput(context, step.id, input);
+    }
+    return input;
+}
+
+// Open step input documents: document URI -> {step, workspaceFolder, resolve}
+const pendingInputs = new Map();
+
+/**
+ * Collect a step input in an untitled markdown document; resolved by the Send action
+ * (specWorkflow.sendInput), or with undefined when the document is closed without sending
+ * @param {object} step - Step definition
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Base for attached file paths
+ * @param {{prompt: string, placeHolder: string}} options
+ * @param {string} value - Initial text (preset or recent input)
+ * @returns {Promise<string|undefined>}
+ */
+async function openInputEditor(step, workspaceFolder, options, value) {
+    // The input box hint "(optional - press Enter to skip)" does not apply here
+    const prompt = options.prompt.replace(/\s*\(optional[^)]*\)/, '');
+    const header = [
+        `<!-- ${step.command} input: ${prompt}`,
+        options.placeHolder ? `     ${options.placeHolder}` : null,
+        '     Write markdown below, attach files or editor selections, then click Send in the editor title bar.',
+        '     HTML comments like this one are not sent; send an empty document to run the step without input. -->'
+    ].filter(line => line !== null).join('\n');
+
+    const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: `${header}\n\n${value}` });
+    await vscode.window.showTextDocument(document);
+
+    return new Promise(resolve => {
+        pendingInputs.set(document.uri.toString(), { step, workspaceFolder, resolve });
+        updateInputContext();
+    });
+}
+
+/**
+ * Input text of a step input document, without HTML comments
+ * @param {string} text
+ * @returns {string}
+ */
+function getInputText(text) {
+    return text.replace(/<!--[\s\S]*?-->/g, '').trim();
+}
+
+function updateInputContext() {
+    const active = vscode.window.activeTextEditor?.document.uri.toString();
+    vscode.commands.executeCommand('setContext', 'traycer.stepInputActive', pendingInputs.has(active));
+    vscode.commands.executeCommand('setContext', 'traycer.stepInputOpen', pendingInputs.size > 0);
+}
+
+/**
+ * Track step input documents: closing one cancels its step, and the Send/Attach
+ * actions only show on them
+ * @param {vscode.ExtensionContext} context
+ */
+function watchInputEditors(context) {
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => {
+            const pending = pendingInputs.get(document.uri.toString());
+            if (pending) {
+                pendingInputs.delete(document.uri.toString());
+                pending.resolve(undefined);
+                updateInputContext();
+            }
+        }),
+        vscode.window.onDidChangeActiveTextEditor(() => updateInputContext())
+    );
+}
+
+/**
+ * Send the active step input document to its workflow step
+ */
+async function sendStepInput() {
+    const editor = vscode.window.activeTextEditor;
+    const key = editor?.document.uri.toString();
+    const pending = pendingInputs.get(key);
+    if (!pending) {
+        vscode.window.showInformationMessage('Run Constitution, Specification or Plan to open a step input.');
+        return;
+    }
+
+    // Resolve before closing so the close handler does not cancel the step
+    pendingInputs.delete(key);
+    pending.resolve(getInputText(editor.document.getText()));
+    updateInputContext();
+    await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
+}
+
+/**
+ * Add #file references to the active step input document
+ */
+async function attachFilesToInput() {
+    const editor = vscode.window.activeTextEditor;
+    const pending = pendingInputs.get(editor?.document.uri.toString());
+    if (!pending) {
+        return;
+    }
+
+    const uris = await vscode.window.showOpenDialog({
+        canSelectMany: true,
+        defaultUri: pending.workspaceFolder.uri,
+        openLabel: 'Attach'
+    });
+    if (!uris || uris.length === 0) {
+        return;
+    }
+
+    const references = uris.map(uri => `#file:${toInputPath(uri.fsPath, pending.workspaceFolder)}`).join('\n');
+    const end = editor.document.lineAt(editor.document.lineCount - 1).range.end;
+    await editor.edit(builder => builder.insert(end, `\n\n${references}\n`));
+}
+
+/**
+ * Append the selection of the active editor to the most recently opened step input document
+ */
+async function attachSelectionToInput() {
+    const editor = vscode.window.activeTextEditor;
+    const entries = [...pendingInputs];
+    if (!editor || editor.selection.isEmpty || entries.length === 0) {
+        vscode.window.showInformationMessage('Select text in an editor while a step input is open.');
+        return;
+    }
+
+    const [key, pending] = entries[entries.length - 1];
+    const target = vscode.workspace.textDocuments.find(document => document.uri.toString() === key);
+    if (!target) {
+        return;
+    }
+
+    const { start, end } = editor.selection;
+    const source = toInputPath(editor.document.uri.fsPath, pending.workspaceFolder);
+    const lines = start.line === end.line ? `line ${start.line + 1}` : `lines ${start.line + 1}-${end.line + 1}`;
+    const snippet = `\n\nFrom \`${source}\` ${lines}:\n\n` +
+        `\`\`\`${editor.document.languageId}\n${editor.document.getText(editor.selection)}\n\`\`\`\n`;
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(target.uri, target.lineAt(target.lineCount - 1).range.end, snippet);
+    await vscode.workspace.applyEdit(edit);
+    await vscode.window.showTextDocument(target);
+}
+
+function toInputPath(filePath, workspaceFolder) {
+    const relative = path.relative(workspaceFolder.uri.fsPath, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+}
+
+/**
+ * Save a step input under a name, picked from the step's recent inputs or typed
+ * @param {vscode.ExtensionContext} context
+ * @param {object[]} steps - Step definitions
+ * @param {object} [stepItem] - Workflow step the command was run on
+ */
+async function saveInputPreset(context, steps, stepItem) {
+    const inputSteps = steps.filter(candidate => candidate.needsInput);
+    let step = stepItem?.step;
+    if (!step || !step.needsInput) {
+        const picked = await vscode.window.showQuickPick(
+            inputSteps.map(candidate => ({ label: candidate.label, step: candidate })),
+            { placeHolder: 'Save a preset for which step?' }
+        );
+        if (!picked) {
+            return;
+        }
+        step = picked.step;
+    }
+
+    let value = '';
+    const history = getInputHistory(context, step.id);
+    if (history.length > 0) {
+        const picked = await vscode.window.showQuickPick(
+            [
+                { label: '$(edit) New input', value: '' },
+                { label: 'Recent', kind: vscode.QuickPickItemKind.Separator },
+                ...history.map(input => ({ label: `$(history) ${input.split('\n')[0]}`, detail: input, value: input }))
+            ],
+            { placeHolder: `${step.label}: start from a recent input`, matchOnDetail: true }
+        );
+        if (!picked) {
+            return;
+        }
+        value = picked.value;
+    }
+
+    const input = await vscode.window.showInputBox({
+        prompt: `${step.label}: preset input`,
+        value,
+        validateInput: text => (text.trim() ? null : 'Enter the input to save')
+    });
+    if (!input) {
+        return;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Preset name',
+        placeHolder: 'e.g., Vite + vanilla JS',
+        validateInput: text => (text.trim() ? null : 'Enter a name')
+    });
+    if (!name) {
+        return;
+    }
+
+    const presets = { ...(context.workspaceState.get(INPUT_PRESETS_KEY) || {}) };
+    presets[step.id] = [
+        ...(presets[step.id] || []).filter(preset => preset.name !== name.trim()),
+        { name: name.trim(), input }
+    ];
+    await context.workspaceState.update(INPUT_PRESETS_KEY, presets);
+    vscode.window.showInformationMessage(
+        `Saved preset "${name.trim()}" for ${step.label}. Export presets to share them through ${PRESETS_FILE}.`
+    );
+}
+
+/**
+ * Copy the presets saved in this workspace into .specify/presets.json of a folder, replacing
+ * shared presets of the same name; the local copies are only removed when the user asks
+ * @param {vscode.ExtensionContext} context
+ */
+async function exportInputPresets(context) {
+    const local = context.workspaceState.get(INPUT_PRESETS_KEY) || {};
+    const count = Object.values(local).reduce((sum, presets) => sum + presets.length, 0);
+    if (count === 0) {
+        vscode.window.showInformationMessage('No presets saved in this workspace. Use "Save Step Input as Preset" first.');
+        return;
+    }
+
+    const workspaceFolder = await pickWorkspaceFolder('Select the workspace folder to export presets to');
+    if (!workspaceFolder) {
+        return;
+    }
+
+    const presetsPath = path.join(workspaceFolder.uri.fsPath, PRESETS_FILE);
+    if (fs.existsSync(presetsPath)) {
+        try {
+            parseJsonc(fs.readFileSync(presetsPath, 'utf8'));
+        } catch (err) {
+            vscode.window.showErrorMessage(`Could not read ${PRESETS_FILE} (${err.message}). Fix it before exporting.`);
+            return;
+        }
+    }
+
+    const shared = readSharedPresets(workspaceFolder);
+    for (const [stepId, presets] of Object.entries(local)) {
+        const names = presets.map(preset => preset.name);
+        shared[stepId] = [...(shared[stepId] || []).filter(preset => !names.includes(preset.name)), ...presets];
+    }
+
+    fs.mkdirSync(path.dirname(presetsPath), { recursive: true });
+    fs.writeFileSync(presetsPath, `${JSON.stringify(shared, null, 4)}\n`);
+    await vscode.window.showTextDocument(vscode.Uri.file(presetsPath));
+
+    // Local presets take precedence over shared ones of the same name, so keeping them would hide later edits to the file
+    const answer = await vscode.window.showInformationMessage(
+        `Exported ${count} preset${count === 1 ? '' : 's'} to ${PRESETS_FILE}. Commit it to share them with your team. ` +
+            'Remove the local copies so the shared ones are used?',
+        'Remove Local Copies', 'Keep'
+    );
+    if (answer === 'Remove Local Copies') {
+        await context.workspaceState.update(INPUT_PRESETS_KEY, {});
+    }
+}
+
+async function runWorkflowStep(stepItem, context) {
+    const step = stepItem.step;
+    if (!vscode.workspace.workspaceFolders?.length) {
+        vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
+        return;
+    }
+
+    // Initialize may target any folder; other steps only folders that already use Spec-Kit
+    const workspaceFolder = stepItem.workspaceFolder || await pickWorkspaceFolder(
+        step.id === 'init' ? 'Select the workspace folder to set up' : `Select the workspace folder for ${step.label}`,
+        step.id === 'init' ? vscode.workspace.workspaceFolders : getSpecFolders()
+    );
+    if (!workspaceFolder) {
+        return;
+    }
+    let feature = stepItem.feature;
+    if (!feature && step.scope === 'feature') {
+        feature = await detectFeature(context, workspaceFolder, `Select the feature for ${step.label}`);
+        if (!feature) {
+            return;
+        }
+    }
+    
+    let userInput = '';
+    if (step.needsInput && step.id !== 'init') {
+        // Get user input for steps that need it
+        let placeholder = '';
+        let promptText = feature ? `${step.inputPrompt} - specs/${feature}` : step.inputPrompt;
+        
+        if (step.id === 'constitution') {
+            placeholder = fs.existsSync(path.join(workspaceFolder.uri.fsPath, '.specify', 'memory', 'constitution.md'))
+                ? 'Amend the constitution, e.g. add a principle about accessibility...'
+                : 'Create principles focused on code quality, testing standards...';
+        } else if (step.id === 'specify') {
+            placeholder = feature
+                ? `Changes to the ${feature} specification...`
+                : 'Describe the new feature, e.g. organize my photos in albums grouped by date...';
+        } else if (step.id === 'clarify') {
+            placeholder = 'Focus on error handling and data retention...';
+        } else if (step.id === 'plan') {
+            placeholder = `Tech stack for ${feature}, e.g. Vite with vanilla HTML, CSS and JavaScript...`;
+        } else if (step.id === 'checklist') {
+            placeholder = 'ux';
+        } else if (step.id === 'analyze') {
+            placeholder = 'Focus on security and performance requirements...';
+        }
+        
+        userInput = await askStepInput(context, workspaceFolder, step, {
+            prompt: promptText,
+            placeHolder: placeholder
+        });
+        
+        if (userInput === undefined) {
+            return; // User cancelled
+        }
+    }
+    
+    // Handle step execution
+    if (step.id === 'init') {
+        // Check if already initialized
+        const specifyPath = path.join(workspaceFolder.uri.fsPath, '.specify');
+        
+        if (fs.existsSync(specifyPath)) {
+            const choice = await vscode.window.showInformationMessage(
+                'Spec-Kit already initialized! .specify/ folder exists.',
+                'Open .specify/', 'Reinitialize', 'Cancel'
+            );
+            
+            if (choice === 'Open .specify/') {
+                await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
+                return;
+            } else if (choice === 'Reinitialize') {
+                // Continue to reinitialize - locally modified files are reviewed, not overwritten
+            } else {
+                return;
+            }
+        }
+        
+        const profile = await pickSetupProfile(readManifest(workspaceFolder.uri.fsPath).profile || null);
+        if (!profile) {
+            return;
+        }
+        
+        // Copy setup files from extension to workspace
+        try {
+            // Get extension path - works in both development and production
+            const extensionPath = __dirname;
+            
+            const result = await copySetupFiles(extensionPath, workspaceFolder.uri.fsPath, reviewSetupChanges, profile.name);
+            if (!result) {
+                return; // User cancelled the review
+            }
+            
+            const mergedCount = result.merged.length + result.conflicted.length;
+            vscode.window.showInformationMessage(
+                `✅ Spec-Kit initialized successfully!\n\n` +
+                `Installed or updated ${result.written.length} files` +
+                (profile.name ? ` from profile "${profile.name}"` : '') + `:\n` +
+                `  • .github/ (agents & prompts, using ${getScriptType() === 'sh' ? 'bash' : 'PowerShell'} scripts)\n` +
+                `  • .specify/ (templates & scripts)\n` +
+                `  • .vscode/settings.json (${formatSettingsReport(result.settings)})\n` +
+                (mergedCount > 0 ? `Merged ${mergedCount} files.\n` : '') +
+                (result.kept.length > 0 ? `Kept ${result.kept.length} local files.\n` : '') +
+                `\nNext: Run Step 1 - Constitution`
+            );
+            
+            if (result.conflicted.length > 0) {
+                vscode.window.showWarningMessage(
+                    `Merge conflicts in ${result.conflicted.join(', ')}. Resolve the conflict markers before using these files.`
+                );
+                await vscode.commands.executeCommand(
+                    'vscode.open',
+                    vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, result.conflicted[0]))
+                );
+                return;
+            }
+            
+            // Open .specify folder to show user
+            setTimeout(async () => {
+                await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
+            }, 1000);
+            
+        } catch (err) {
+            vscode.window.showErrorMessage(
+                `Failed to initialize Spec-Kit: ${err.message}\n\n` +
+                `Please check that the extension has the setup/ folder and that traycer.setup.profiles points to existing directories.`
+            );
+        }
+        
+        return;
+    }
+    
+    // For other steps, prepare the command to copy
+    // (steps without input - tasks, taskstoissues, implement - get the feature directory as argument)
+    const command = step.command;
+    if (!step.needsInput && feature) {
+        userInput = `specs/${feature}`;
+    }
+    let fullPrompt = userInput ? `${command} ${userInput}` : command;
+    
+    if (step.promptSuffix) {
+        fullPrompt = `${fullPrompt}\n\n${step.promptSuffix}`;
+    }
+    
+    if (feature) {
+        fullPrompt = withTargetFeature(fullPrompt, feature);
+    }
+    fullPrompt = withWorkspaceFolder(fullPrompt, workspaceFolder);
+    
+    await sendWorkflowPrompt(step.id, fullPrompt, 'run the workflow step');
+}
+
+/**
+ * Name the feature directory explicitly - the agents otherwise resolve it from the git branch
+ * @param {string} prompt
+ * @param {string} feature - Feature directory name
+ * @returns {string}
+ */
+function withTargetFeature(prompt, feature) {
+    return `${prompt}\n\nTarget feature: specs/${feature} ` +
+        `(set SPECIFY_FEATURE=${feature} when running .specify scripts if the current branch differs)`;
+}
+
+async function viewWorkflowOutput(stepItem, context) {
+    const step = stepItem.step;
+    const workspaceFolder = stepItem.workspaceFolder || await pickWorkspaceFolder(`Select the workspace folder for ${step.label}`);
+    if (!workspaceFolder) {
+        return;
+    }
+
+    // Find output file
+    if (step.id === 'init') {
+        const specifyPath = path.join(workspaceFolder.uri.fsPath, '.specify');
+        if (fs.existsSync(specifyPath)) {
+            await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(specifyPath));
+            vscode.window.showInformationMessage('Spec-Kit initialized! Check .specify/ folder');
+        } else {
+            vscode.window.showWarningMessage('.specify/ directory not found. Run initialization first.');
+        }
+    } else if (step.id === 'constitution') {
+        const filePath = path.join(workspaceFolder.uri.fsPath, step.outputFile);
+        if (fs.existsSync(filePath)) {
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(filePath));
+        } else {
+            vscode.window.showWarningMessage(`File not found: ${step.outputFile}\nRun this step first.`);
+        }
+    } else {
+        const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
+        if (!fs.existsSync(specsPath)) {
+            vscode.window.showWarningMessage('No specs/ directory found. Run Step 2 first.');
+            return;
+        }
+        
+        // Use the step's own feature, then the branch's or last used one, and only then ask
+        const feature = stepItem.feature ||
+            await detectFeature(context, workspaceFolder, 'Select feature to view');
+        
+        if (!feature) {
+            return;
+        }
+        
+        if (step.id === 'checklist') {
+            await openChecklist(path.join(specsPath, feature));
+            return;
+        }
+        
+        const fileName = step.outputFile.replace('[feature]', feature).split('/').pop();
+        const filePath = path.join(specsPath, feature, fileName);
+        
+        if (fs.existsSync(filePath)) {
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(filePath));
+        } else {
+            vscode.window.showWarningMessage(`File not found: ${fileName}\nRun ${step.label} for this feature first.`);
+        }
+    }
+}
+
+async function openChecklist(featurePath) {
+    const checklistsPath = path.join(featurePath, 'checklists');
+    const checklists = fs.existsSync(checklistsPath)
+        ? fs.readdirSync(checklistsPath).filter(file => file.endsWith('.md'))
+        : [];
+    
+    if (checklists.length === 0) {
+        vscode.window.showWarningMessage('No checklists found.\nRun Checklist for this feature first.');
+        return;
+    }
+    
+    const checklist = checklists.length === 1
+        ? checklists[0]
+        : await vscode.window.showQuickPick(checklists, { placeHolder: 'Select checklist to view' });
+    
+    if (checklist) {
+        await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(path.join(checklistsPath, checklist)));
+    }
+}
+
+class SpecTaskProvider {
+    constructor(context) {
+        this.context = context;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.cache = new Map();  // tasks.md path -> { mtimeMs, size, phases }
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Re-parse one tasks.md. When its phases are unchanged the existing phase items
+     * are updated in place and only phases whose tasks changed are re-rendered.
+     * @param {string} filePath
+     */
+    async refreshTasksFile(filePath) {
+        const cached = this.cache.get(filePath);
+        if (!cached || !fs.existsSync(filePath)) {
+            this.cache.delete(filePath);
+            this.refresh();
+            return;
+        }
+
+        const stat = fs.statSync(filePath);
+        const phases = await this.parseTasksFile(filePath);
+        const phaseNames = items => items.map(item => item.label).join('\n');
+        if (phaseNames(phases) !== phaseNames(cached.phases)) {
+            this.cache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, phases });
+            this.refresh();
+            return;
+        }
+
+        const taskLines = items => items
+            .map(t => [t.taskData.lineNumber, t.taskData.task.raw, t.taskData.verification?.finishedAt, t.taskData.waitingFor].join(':'))
+            .join('\n');
+        cached.phases.forEach((phaseItem, i) => {
+            const changed = taskLines(phaseItem.tasks) !== taskLines(phases[i].tasks);
+            phaseItem.tasks = phases[i].tasks;
+            phaseItem.phase = phases[i].phase;
+            phaseItem.tooltip = phases[i].tooltip;
+            if (changed) {
+                this._onDidChangeTreeData.fire(phaseItem);
+            }
+        });
+        cached.mtimeMs = stat.mtimeMs;
+        cached.size = stat.size;
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        if (!element) {
+            // Root level - tasks.md phases, grouped per folder in a multi-root workspace
+            const workspaceFolders = vscode.workspace.workspaceFolders || [];
+            if (workspaceFolders.length <= 1) {
+                return workspaceFolders.length ? this.findTasksFiles(workspaceFolders[0]) : [];
+            }
+
+            const specFolders = getSpecFolders().filter(folder => fs.existsSync(path.join(folder.uri.fsPath, 'specs')));
+            return specFolders.length > 0
+                ? specFolders.map(folder => new WorkspaceFolderItem(folder))
+                : [new TaskItem('No specs/ folder found', '', 'info', vscode.TreeItemCollapsibleState.None)];
+        } else if (element.type === 'workspaceFolder') {
+            return this.findTasksFiles(element.workspaceFolder);
+        } else if (element.type === 'phase') {
+            // Return tasks for this phase
+            return element.tasks || [];
+        }
+        return [];
+    }
+
+    async findTasksFiles(workspaceFolder) {
+        if (!fs.existsSync(path.join(workspaceFolder.uri.fsPath, 'specs'))) {
+            return [new TaskItem('No specs/ folder found', '', 'info', vscode.TreeItemCollapsibleState.None)];
+        }
+
+        const phases = [];
+        for (const tasksPath of this.getTasksPaths(workspaceFolder)) {
+            phases.push(...await this.getPhaseItems(tasksPath));
+        }
+
+        return phases.length > 0 ? phases : [new TaskItem('No tasks found', '', 'info', vscode.TreeItemCollapsibleState.None)];
+    }
+
+    /**
+     * tasks.md files shown for a folder - only the active feature's when one is set
+     * @param {vscode.WorkspaceFolder} workspaceFolder
+     * @returns {string[]}
+     */
+    getTasksPaths(workspaceFolder) {
+        const specsPath = path.join(workspaceFolder.uri.fsPath, 'specs');
+        if (!fs.existsSync(specsPath)) {
+            return [];
+        }
+
+        const activeFeature = getActiveFeature(this.context, workspaceFolder);
+        const features = activeFeature ? [activeFeature] : fs.readdirSync(specsPath);
+        return features
+            .map(feature => path.join(specsPath, feature, 'tasks.md'))
+            .filter(tasksPath => fs.existsSync(tasksPath));
+    }
+
+    /**
+     * Phase items for a tasks.md, re-parsed only when the file changed on disk
+     */
+    async getPhaseItems(filePath) {
+        const stat = fs.statSync(filePath);
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+            return cached.phases;
+        }
+
+        const phases = await this.parseTasksFile(filePath);
+        this.cache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, phases });
+        return phases;
+    }
+
+    async parseTasksFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const document = parseTasks(content);
+        const verifications = readVerificationResults(path.dirname(filePath));
+        const graph = buildTaskGraph(document);
+
+        return document.phases.map(phase => {
+            const phaseItem = new TaskItem(
+                phase.name,
+                filePath,
+                'phase',
+                vscode.TreeItemCollapsibleState.Collapsed
+            );
+            phaseItem.phase = phase;
+            phaseItem.tooltip = [phase.purpose || phase.goal, ...phase.checkpoints.map(c => `Checkpoint: ${c.text}`)]
+                .filter(Boolean)
+                .join('\n') || undefined;
+
+            phaseItem.tasks = phase.tasks.map(task => {
+                const story = task.story ? `[${task.story}]` : '';
+
+                // Truncate long descriptions in the label only
+                let shortDesc = task.description;
+                if (shortDesc.length > 80) {
+                    shortDesc = shortDesc.substring(0, 77) + '...';
+                }
+
+                const label = `${task.id} ${story} ${shortDesc}`.trim();
+                const icon = task.completed ? '✓' : (task.parallel ? '⚡' : '○');
+
+                return new TaskItem(
+                    `${icon} ${label}`,
                     filePath,
-                    'phase',
-                    vscode.TreeItemCollapsibleState.Collapsed
+                    'task',
+                    vscode.TreeItemCollapsibleState.None,
+                    {
+                        taskId: task.id,
+                        description: task.description,
+                        isCompleted: task.completed,
+                        hasParallel: task.parallel,
+                        story,
+                        lineNumber: task.line,
+                        task,
+                        verification: verifications.get(task.id),
+                        waitingFor: task.completed ? '' : describePrerequisites(graph, getUnmetPrerequisites(graph, task.id)),
+                        conflicts: graph.conflicts
+                            .filter(conflict => conflict.taskIds.includes(task.id))
+                            .map(conflict => ({ file: conflict.file, taskId: conflict.taskIds.find(id => id !== task.id) })),
+                        cycle: graph.cycles.find(cycle => cycle.includes(task.id)) || null
+                    }
                 );
-                currentTasks = [];
-                continue;
+            });
+
+            return phaseItem;
+        });
+    }
+}
+
+class TaskItem extends vscode.TreeItem {
+    constructor(label, filePath, type, collapsibleState, taskData = null) {
+        super(label, collapsibleState);
+        this.type = type;
+        this.filePath = filePath;
+        this.taskData = taskData;
+        this.contextValue = type === 'task' && taskData?.isCompleted ? 'taskCompleted' : type;
+
+        if (type === 'task' && taskData) {
+            this.tooltip = getTaskTooltip(taskData);
+            this.description = [
+                taskData.isCompleted ? '(completed)' : '',
+                taskData.verification ? (taskData.verification.passed ? '✔ verified' : '✘ verification failed') : '',
+                taskData.conflicts?.length > 0 ? `⚠ same file as ${taskData.conflicts.map(c => c.taskId).join(', ')}` : ''
+            ].filter(Boolean).join(' ');
+            
+            // Add command to open file at task line
+            this.command = {
+                command: 'vscode.open',
+                title: 'Open Task',
+                arguments: [
+                    vscode.Uri.file(filePath),
+                    { selection: new vscode.Range(taskData.lineNumber, 0, taskData.lineNumber, 0) }
+                ]
+            };
+        } else if (type === 'phase') {
+            this.iconPath = new vscode.ThemeIcon('folder');
+        }
+    }
+}
+
+/**
+ * Incomplete tasks of the active feature whose prerequisites are all done (see taskGraph.js).
+ * Reuses the task tree's items, so it refreshes whenever that tree does.
+ */
+class NextTasksProvider {
+    /**
+     * @param {SpecTaskProvider} taskProvider
+     */
+    constructor(taskProvider) {
+        this.taskProvider = taskProvider;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        taskProvider.onDidChangeTreeData(() => this._onDidChangeTreeData.fire());
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        if (element && element.type === 'workspaceFolder') {
+            return this.getRunnableItems(element.workspaceFolder);
+        }
+        if (element) {
+            return [];
+        }
+
+        const specFolders = getSpecFolders().filter(folder => fs.existsSync(path.join(folder.uri.fsPath, 'specs')));
+        if ((vscode.workspace.workspaceFolders || []).length <= 1) {
+            return specFolders.length ? this.getRunnableItems(specFolders[0]) : [];
+        }
+        return specFolders.map(folder => new WorkspaceFolderItem(folder));
+    }
+
+    async getRunnableItems(workspaceFolder) {
+        const tasks = [];
+        for (const tasksPath of this.taskProvider.getTasksPaths(workspaceFolder)) {
+            const phases = await this.taskProvider.getPhaseItems(tasksPath);
+            tasks.push(...phases.flatMap(phase => phase.tasks || []));
+        }
+
+        const runnable = tasks.filter(item => !item.taskData.isCompleted && !item.taskData.waitingFor);
+        if (runnable.length > 0) {
+            return runnable;
+        }
+        const blocked = tasks.find(item => !item.taskData.isCompleted && item.taskData.cycle);
+        const message = tasks.length === 0 ? 'No tasks found' : tasks.every(item => item.taskData.isCompleted)
+            ? 'All tasks completed'
+            : blocked ? `No runnable tasks - ${blocked.taskData.cycle.join(', ')} depend on each other`
+            : 'No runnable tasks - every open task waits for another';
+        return [new TaskItem(message, '', 'info', vscode.TreeItemCollapsibleState.None)];
+    }
+}
+
+/**
+ * Tooltip with the full task description plus referenced files and dependencies
+ */
+function getTaskTooltip(taskData) {
+    const task = taskData.task;
+    if (!task) {
+        return taskData.description;
+    }
+
+    const lines = [`${task.id}: ${task.description}`, ...task.notes.map(note => `  • ${note}`)];
+    if (task.files.length > 0) {
+        lines.push(`Files: ${task.files.join(', ')}`);
+    }
+    if (task.dependsOn.length > 0) {
+        lines.push(`Depends on: ${task.dependsOn.join(', ')}`);
+    }
+    if (taskData.waitingFor) {
+        lines.push(`Waiting for: ${taskData.waitingFor}`);
+    }
+    for (const conflict of taskData.conflicts || []) {
+        lines.push(`⚠ Marked [P] like ${conflict.taskId}, but both touch ${conflict.file}; run them one after another`);
+    }
+    if (taskData.cycle) {
+        lines.push(`⚠ The depends-on notes of ${taskData.cycle.join(', ')} wait for each other, so none of them can run`);
+    }
+    if (taskData.verification) {
+        lines.push(`Verification: ${taskData.verification.passed ? 'passed' : 'failed'} (${taskData.verification.finishedAt})`);
+    }
+    return lines.join('\n');
+}
+
+async function implementTask(taskItem, context) {
+    if (!taskItem.taskData) return;
+    if (!await confirmPrerequisites([taskItem])) return;
+
+    const backend = getBackend();
+    const action = await vscode.window.showQuickPick(
+        [
+            { label: `$(github-action) Ask ${backend.label}`, value: 'ai' },
+            { label: '$(file-code) Open in Editor', value: 'open' },
+            { label: '$(terminal) Show in Terminal Context', value: 'terminal' }
+        ],
+        { placeHolder: `Implement ${taskItem.taskData.taskId}: ${taskItem.taskData.description}` }
+    );
+
+    if (!action) return;
+    await recordTaskStart(context, [taskItem]);
+
+    if (action.value === 'ai') {
+        const prompt = buildImplementPrompt(taskItem);
+
+        try {
+            await sendPrompt(withWorkspaceFolder(prompt, getWorkspaceFolderOf(taskItem.filePath)), {
+                title: `Implement ${taskItem.taskData.taskId}`,
+                backend
+            });
+        } catch (err) {
+            vscode.window.showErrorMessage(`${backend.label} not available (${err.message}). Opening file instead.`);
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(taskItem.filePath));
+        }
+    } else if (action.value === 'open') {
+        await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(taskItem.filePath), {
+            selection: new vscode.Range(taskItem.taskData.lineNumber, 0, taskItem.taskData.lineNumber, 0)
+        });
+    } else if (action.value === 'terminal') {
+        const terminal = vscode.window.createTerminal('Spec Task');
+        terminal.show();
+        terminal.sendText(`# Task: ${taskItem.taskData.taskId}`);
+        terminal.sendText(`# ${taskItem.taskData.description}`);
+    }
+}
+
+const PREREQUISITE_LABELS = {
+    depends: 'depends on',
+    order: 'earlier in the phase',
+    checkpoint: 'before a checkpoint'
+};
+
+/**
+ * Prerequisites of a task as the task graph orders them, for taskContext.buildTaskContext
+ * @param {object} doc - TasksDocument from tasksParser.parseTasks
+ * @param {object} task - Task of doc
+ * @returns {{prerequisites: {task: object, reason: string}[], openPhases: string}}
+ */
+function getContextPrerequisites(doc, task) {
+    const graph = buildTaskGraph(doc);
+    const node = graph.nodes.get(task.id);
+    const prerequisites = node ? node.prerequisites.map(prerequisite => ({
+        task: graph.nodes.get(prerequisite.id).task,
+        reason: prerequisite.reason === 'file' ? `same file ${prerequisite.file}` : PREREQUISITE_LABELS[prerequisite.reason]
+    })) : [];
+
+    const openPhaseTasks = getUnmetPrerequisites(graph, task.id).filter(prerequisite => prerequisite.reason === 'phase');
+    return { prerequisites, openPhases: describePrerequisites(graph, openPhaseTasks) };
+}
+
+/**
+ * Implement prompt for a task with context from its feature directory (user story, plan,
+ * data model, contracts, dependencies), trimmed to traycer.ai.contextTokenBudget
+ * @param {TaskItem} taskItem
+ * @returns {string}
+ */
+function buildImplementPrompt(taskItem) {
+    const workspaceFolder = getWorkspaceFolderOf(taskItem.filePath);
+    const workspacePath = workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(taskItem.filePath);
+    const featurePath = path.dirname(taskItem.filePath);
+    const tasksFile = path.relative(workspacePath, taskItem.filePath).split(path.sep).join('/');
+
+    // Re-read tasks.md so dependency status is current even if the tree is stale
+    const doc = parseTasks(fs.readFileSync(taskItem.filePath, 'utf8'));
+    const task = doc.tasks.find(candidate => candidate.id === taskItem.taskData.taskId) || taskItem.taskData.task;
+
+    const lines = [
+        `Implement this task from ${tasksFile}:`,
+        '',
+        `${task.id}${task.story ? ` [${task.story}]` : ''}: ${task.description}`,
+        ...task.notes.map(note => `  - ${note}`)
+    ];
+
+    const maxTokens = vscode.workspace.getConfiguration('traycer').get('ai.contextTokenBudget', 4000);
+    if (maxTokens > 0) {
+        const context = buildTaskContext(featurePath, doc, task, {
+            maxTokens,
+            workspacePath,
+            ...getContextPrerequisites(doc, task)
+        });
+        const formatted = formatTaskContext(context, path.dirname(tasksFile));
+        if (formatted) {
+            lines.push('', '## Context', '', formatted);
+        }
+    }
+
+    lines.push(
+        '',
+        'Please implement this task following the specification. Create or modify the necessary files. ' +
+        'Do not work on other tasks.'
+    );
+    return lines.join('\n');
+}
+
+async function verifyTask(taskItem, context) {
+    if (!taskItem.taskData) return;
+
+    const [result] = await verifyTaskItems(context, [taskItem]);
+    if (!result) return;
+
+    const { report, reportPath } = result;
+    const unknown = report.unknown.length > 0
+        ? ` Could not tell whether ${report.unknown.join(', ')} changed; run Implement before Verify to check.`
+        : '';
+    const summary = report.passed
+        ? `✅ ${report.taskId} passed verification (${report.files.length} files, ${report.commands.length} commands).${unknown}`
+        : `❌ ${report.taskId} failed verification: ${report.problems.join('; ')}`;
+    const show = report.passed ? vscode.window.showInformationMessage : vscode.window.showWarningMessage;
+    const choice = await show(summary, 'Open Report', 'Ask AI to Review');
+
+    if (choice === 'Open Report') {
+        await vscode.window.showTextDocument(vscode.Uri.file(reportPath));
+    } else if (choice === 'Ask AI to Review') {
+        const prompt = `Review this task implementation from tasks.md:
+
+Task ID: ${taskItem.taskData.taskId}
+Description: ${taskItem.taskData.description}
+Story: ${taskItem.taskData.story}
+
+The local verification report (${path.relative(path.dirname(taskItem.filePath), reportPath)} in the feature directory) is below.
+Please check:
+1. Does the implementation match the task description?
+2. How should the problems in the report be fixed?
+3. Should this task be marked as complete [x]?
+
+${fs.readFileSync(reportPath, 'utf8')}`;
+
+        try {
+            await sendPrompt(withWorkspaceFolder(prompt, getWorkspaceFolderOf(taskItem.filePath)), {
+                title: `Verify ${taskItem.taskData.taskId}`
+            });
+        } catch (err) {
+            vscode.window.showInformationMessage(`Verify ${taskItem.taskData.taskId}: Check implementation manually`);
+        }
+    }
+}
+
+/**
+ * Warn before implementing tasks whose prerequisites (see taskGraph.js) are not completed,
+ * and about [P] tasks among them that touch the same file
+ * @param {TaskItem[]} taskItems - Of one tasks.md
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function confirmPrerequisites(taskItems) {
+    // Re-read tasks.md so a task ticked since the tree was loaded counts as done
+    const graph = buildTaskGraph(parseTasks(fs.readFileSync(taskItems[0].filePath, 'utf8')));
+    const ids = new Set(taskItems.map(item => item.taskData.taskId));
+
+    const waiting = [];
+    for (const id of ids) {
+        // Prerequisites that are part of the same request are implemented along with the task
+        const unmet = getUnmetPrerequisites(graph, id).filter(prerequisite => !ids.has(prerequisite.id));
+        if (unmet.length > 0) {
+            waiting.push(`${id} waits for ${describePrerequisites(graph, unmet)}`);
+        }
+    }
+    const conflicts = graph.conflicts
+        .filter(conflict => conflict.taskIds.every(id => ids.has(id)))
+        .map(conflict => `${conflict.taskIds.join(' and ')} are marked [P] but both touch ${conflict.file}`);
+
+    if (waiting.length === 0 && conflicts.length === 0) {
+        return true;
+    }
+
+    const detail = [...waiting, ...conflicts].join('\n');
+    const choice = await vscode.window.showWarningMessage(
+        waiting.length > 0 ? 'Some prerequisites are not completed yet.' : 'Some parallel tasks touch the same file.',
+        { modal: true, detail },
+        'Implement Anyway'
+    );
+    return choice === 'Implement Anyway';
+}
+
+// ========== LOCAL VERIFICATION ==========
+
+const TASK_STARTS_KEY = 'traycer.taskStarts';
+
+function getTaskKey(taskItem) {
+    return `${taskItem.filePath}#${taskItem.taskData.taskId}`;
+}
+
+/**
+ * Remember when work on tasks started, so verification can tell whether their files changed
+ * @param {vscode.ExtensionContext} context
+ * @param {TaskItem[]} taskItems
+ */
+async function recordTaskStart(context, taskItems) {
+    const starts = { ...(context.workspaceState.get(TASK_STARTS_KEY) || {}) };
+    for (const taskItem of taskItems) {
+        starts[getTaskKey(taskItem)] = Date.now();
+    }
+    await context.workspaceState.update(TASK_STARTS_KEY, starts);
+}
+
+/**
+ * Run the local verifier on tasks and store a report per task under specs/<feature>/verification/
+ * @param {vscode.ExtensionContext} context
+ * @param {TaskItem[]} taskItems
+ * @returns {Promise<{taskItem: TaskItem, report: object, reportPath: string}[]>}
+ */
+async function verifyTaskItems(context, taskItems) {
+    const config = vscode.workspace.getConfiguration('traycer');
+    const commands = config.get('verify.commands', []);
+    const timeoutMs = config.get('verify.timeoutSeconds', 300) * 1000;
+    const starts = context.workspaceState.get(TASK_STARTS_KEY) || {};
+
+    return vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Verifying tasks', cancellable: true },
+        async (progress, token) => {
+            const results = [];
+            for (const taskItem of taskItems) {
+                if (token.isCancellationRequested) {
+                    break;
+                }
+                progress.report({ message: taskItem.taskData.taskId, increment: 100 / taskItems.length });
+
+                const workspaceFolder = getWorkspaceFolderOf(taskItem.filePath);
+                const workspacePath = workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(taskItem.filePath);
+                const report = await runTaskVerification(workspacePath, taskItem.taskData.task, {
+                    commands,
+                    timeoutMs,
+                    startedAt: starts[getTaskKey(taskItem)] || null,
+                    token
+                });
+                // A cancelled run says nothing about the task, so the previous report stays
+                if (report.cancelled) {
+                    break;
+                }
+                const reportPath = writeVerificationReport(path.dirname(taskItem.filePath), report);
+                results.push({ taskItem, report, reportPath });
+            }
+            return results;
+        }
+    );
+}
+
+async function implementPhase(phaseItem, context) {
+    const tasks = phaseItem.tasks || [];
+    const incompleteTasks = tasks.filter(t => t.taskData && !t.taskData.isCompleted);
+
+    if (incompleteTasks.length === 0) {
+        vscode.window.showInformationMessage('All tasks in this phase are completed!');
+        return;
+    }
+
+    // [P] tasks that can start now may instead be implemented side by side in git worktrees
+    const parallelTasks = incompleteTasks.filter(t => t.taskData.hasParallel && !t.taskData.waitingFor);
+    const confirm = await vscode.window.showWarningMessage(
+        `Implement all ${incompleteTasks.length} tasks in ${phaseItem.label}?`,
+        'Yes', ...(parallelTasks.length > 1 ? [`Run ${parallelTasks.length} [P] Tasks in Worktrees`] : []), 'No'
+    );
+
+    if (confirm && confirm.endsWith('in Worktrees')) {
+        await implementInWorktrees(context, phaseItem.filePath, parallelTasks);
+        return;
+    }
+    if (confirm !== 'Yes') return;
+    if (!await confirmPrerequisites(incompleteTasks)) return;
+    await recordTaskStart(context, incompleteTasks);
+
+    const taskList = incompleteTasks.map(t => 
+        `- ${t.taskData.taskId}: ${t.taskData.description}`
+    ).join('\n');
+
+    const prompt = `Implement all tasks in this phase:
+
+${phaseItem.label}
+
+Tasks to implement:
+${taskList}
+
+Please implement these tasks sequentially, following the specification and creating/modifying necessary files.`;
+
+    const backend = getBackend();
+    try {
+        await sendPrompt(withWorkspaceFolder(prompt, getWorkspaceFolderOf(phaseItem.filePath)), {
+            title: `Implement ${phaseItem.label}`,
+            backend
+        });
+    } catch (err) {
+        vscode.window.showErrorMessage(`${backend.label} not available (${err.message}).`);
+    }
+}
+
+async function verifyPhase(phaseItem, context) {
+    const tasks = (phaseItem.tasks || []).filter(t => t.taskData);
+    if (tasks.length === 0) {
+        return;
+    }
+
+    const results = await verifyTaskItems(context, tasks);
+    const failed = results.filter(result => !result.report.passed);
+    const summary = `${phaseItem.label}: ${results.length - failed.length}/${results.length} tasks passed verification` +
+        (failed.length > 0 ? ` (failed: ${failed.map(result => result.report.taskId).join(', ')})` : '');
+    const show = failed.length === 0 ? vscode.window.showInformationMessage : vscode.window.showWarningMessage;
+    const choice = await show(summary, 'Open Reports', 'Ask AI to Review');
+
+    if (choice === 'Open Reports') {
+        const dir = path.join(path.dirname(phaseItem.filePath), VERIFICATION_DIR);
+        await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(dir));
+        if (failed.length > 0) {
+            await vscode.window.showTextDocument(vscode.Uri.file(failed[0].reportPath));
+        }
+    } else if (choice === 'Ask AI to Review') {
+        const taskList = results.map(({ taskItem, report }) => {
+            const status = taskItem.taskData.isCompleted ? '✓' : '✗';
+            const problems = report.problems.length > 0 ? ` - ${report.problems.join('; ')}` : ' - verification passed';
+            return `${status} ${report.taskId}: ${taskItem.taskData.description}${problems}`;
+        }).join('\n');
+
+        const prompt = `Verify implementation of this phase:
+
+${phaseItem.label}
+
+Tasks status and local verification results (full reports in the feature's ${VERIFICATION_DIR}/ directory):
+${taskList}
+
+Please verify:
+1. Are all completed tasks properly implemented?
+2. How should the reported problems be fixed?
+3. Should any incomplete tasks be marked as complete?
+4. Can we proceed to the next phase?
+
+Provide a detailed verification report.`;
+
+        try {
+            await sendPrompt(withWorkspaceFolder(prompt, getWorkspaceFolderOf(phaseItem.filePath)), {
+                title: `Verify ${phaseItem.label}`
+            });
+        } catch (err) {
+            vscode.window.showInformationMessage(`Verify ${phaseItem.label}: ${summary}`);
+        }
+    }
+}
+
+/**
+ * Tick or clear the checkbox of the given tasks in tasks.md via a WorkspaceEdit,
+ * so the change can be undone from the editor
+ * @param {TaskItem[]} taskItems - Tasks from the same tree refresh
+ * @param {boolean} completed - Target state
+ * @returns {Promise<boolean>} true when tasks.md was edited
+ */
+async function setTaskCompletion(taskItems, completed) {
+    const targets = taskItems.filter(t => t.taskData && t.taskData.task && t.taskData.isCompleted !== completed);
+    if (targets.length === 0) {
+        vscode.window.showInformationMessage(`All tasks are already marked ${completed ? 'complete' : 'incomplete'}.`);
+        return false;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const documents = new Map();
+
+    for (const taskItem of targets) {
+        const { task } = taskItem.taskData;
+        let document = documents.get(taskItem.filePath);
+        if (!document) {
+            document = await vscode.workspace.openTextDocument(vscode.Uri.file(taskItem.filePath));
+            documents.set(taskItem.filePath, document);
+        }
+
+        // Refuse when the line no longer matches what the tree was built from
+        const current = task.line < document.lineCount ? document.lineAt(task.line).text : undefined;
+        const checkbox = current === task.raw ? current.match(/^(\s*[-*+]\s+\[)[ xX]\]/) : null;
+        if (!checkbox) {
+            vscode.window.showWarningMessage(
+                `${task.id} changed in ${path.basename(taskItem.filePath)} since the task list was loaded. Refresh and try again.`
+            );
+            return false;
+        }
+
+        const column = checkbox[1].length;
+        edit.replace(document.uri, new vscode.Range(task.line, column, task.line, column + 1), completed ? 'x' : ' ');
+    }
+
+    const wasDirty = new Map([...documents].map(([filePath, document]) => [filePath, document.isDirty]));
+    if (!await vscode.workspace.applyEdit(edit)) {
+        vscode.window.showErrorMessage('Could not update tasks.md.');
+        return false;
+    }
+
+    // Save so the tree (which reads from disk) picks up the change; leave files with other unsaved edits alone
+    for (const [filePath, document] of documents) {
+        if (!wasDirty.get(filePath)) {
+            await document.save();
+        }
+    }
+    return true;
+}
+
+// ========== PARALLEL WORKTREES ==========
+
+/**
+ * Implement [P] tasks concurrently, each on its own branch in a git worktree, then merge the
+ * branches back one by one and show which merged cleanly and which need attention
+ * @param {vscode.ExtensionContext} context
+ * @param {string} filePath - tasks.md
+ * @param {TaskItem[]} taskItems - [P] tasks whose prerequisites are done
+ */
+async function implementInWorktrees(context, filePath, taskItems) {
+    const backend = getBackend();
+    if (!backend.streams) {
+        const choice = await vscode.window.showWarningMessage(
+            `Running tasks in worktrees needs a backend that returns its answer, and ${backend.label} only opens chat. ` +
+            'Set traycer.ai.backend to languageModel or openaiCompatible.',
+            'Open Settings'
+        );
+        if (choice) {
+            await vscode.commands.executeCommand('workbench.action.openSettings', 'traycer.ai.backend');
+        }
+        return;
+    }
+
+    const workspaceFolder = getWorkspaceFolderOf(filePath);
+    const repoPath = workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(filePath);
+    const problem = await checkRepository(repoPath);
+    if (problem) {
+        vscode.window.showErrorMessage(`Cannot run tasks in git worktrees: ${problem}.`);
+        return;
+    }
+    if (!await confirmPrerequisites(taskItems)) return;
+
+    const baseBranch = getCurrentBranch(repoPath) || 'traycer';
+    const maxConcurrent = Math.max(1, vscode.workspace.getConfiguration('traycer').get('parallel.maxConcurrent', 3));
+    await recordTaskStart(context, taskItems);
+
+    const results = await vscode.window.withProgress(
+        {
+            location: vscode.ProgressLocation.Notification,
+            title: `Implementing ${taskItems.map(item => item.taskData.taskId).join(', ')} in worktrees via ${backend.label}`,
+            cancellable: true
+        },
+        async (progress, token) => {
+            const queue = [...taskItems];
+            const results = new Map();
+            const worker = async () => {
+                while (queue.length > 0 && !token.isCancellationRequested) {
+                    const taskItem = queue.shift();
+                    results.set(taskItem, await implementInWorktree(repoPath, baseBranch, taskItem, backend, token));
+                    progress.report({ message: `${results.size}/${taskItems.length} answered`, increment: 100 / taskItems.length });
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(maxConcurrent, taskItems.length) }, worker));
+
+            // Merge in tasks.md order so the history reads like the task list
+            progress.report({ message: 'merging' });
+            const ordered = taskItems.filter(item => results.has(item)).map(item => results.get(item));
+            // The working tree may have been edited while the backend was answering
+            const mergeProblem = await checkRepository(repoPath);
+            for (const result of ordered.filter(candidate => candidate.status === 'implemented')) {
+                if (mergeProblem) {
+                    result.status = 'notMerged';
+                    result.error = mergeProblem;
+                    continue;
+                }
+                const merge = await mergeTaskBranch(repoPath, result.worktree);
+                result.status = merge.merged ? 'merged' : merge.conflicts.length > 0 ? 'conflict' : 'notMerged';
+                result.conflicts = merge.conflicts;
+                result.error = merge.error;
+            }
+            // A branch with committed work is only deleted once it has been merged
+            for (const result of ordered.filter(candidate => candidate.worktree)) {
+                result.branchKept = result.files.length > 0 && result.status !== 'merged';
+                await removeTaskWorktree(repoPath, result.worktree, result.branchKept);
             }
+            return ordered;
+        }
+    );
+
+    // Merged tasks are verified in the workspace like any other and ticked off when they pass
+    const merged = results.filter(result => result.status === 'merged');
+    if (merged.length > 0) {
+        const verified = await verifyTaskItems(context, merged.map(result => result.taskItem));
+        for (const { taskItem, report } of verified) {
+            results.find(result => result.taskItem === taskItem).verification = report;
+        }
+        const passed = verified.filter(result => result.report.passed).map(result => result.taskItem);
+        const current = parseTasks(fs.readFileSync(filePath, 'utf8')).tasks;
+        const toMark = passed
+            .map(taskItem => current.find(task => task.id === taskItem.taskData.taskId))
+            .filter(task => task && !task.completed)
+            .map(task => toTaskItem(filePath, task));
+        if (toMark.length > 0) {
+            await setTaskCompletion(toMark, true);
+        }
+    }
+
+    const document = await vscode.workspace.openTextDocument({
+        language: 'markdown',
+        content: formatWorktreeSummary(results, baseBranch, backend)
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+
+    const attention = results.filter(result => result.status !== 'merged' || !result.verification?.passed);
+    vscode.window.showInformationMessage(
+        `${results.length - attention.length} of ${taskItems.length} tasks merged cleanly` +
+        (attention.length > 0 ? `; ${attention.map(result => result.taskItem.taskData.taskId).join(', ')} need attention.` : '.')
+    );
+}
+
+/**
+ * @returns {Promise<{taskItem: TaskItem, worktree: object|null, files: string[], status: string, error: string|null, output: string, response: string}>}
+ *   status is 'implemented', 'noChanges', 'failed' or 'cancelled' (merging turns 'implemented' into 'merged',
+ *   'conflict' or 'notMerged'); output is what git printed when committing failed, e.g. a hook's complaint
+ */
+async function implementInWorktree(repoPath, baseBranch, taskItem, backend, token) {
+    const { task } = taskItem.taskData;
+    const result = { taskItem, worktree: null, files: [], status: 'failed', error: null, output: '', conflicts: [], response: '' };
+
+    try {
+        result.worktree = await createTaskWorktree(repoPath, task.id, baseBranch);
+        const prompt = `${buildImplementPrompt(taskItem)}\n\n${FILE_BLOCK_INSTRUCTIONS}`;
+        result.response = await backend.send(withWorkspaceFolder(prompt, getWorkspaceFolderOf(taskItem.filePath)), { token }) || '';
+        if (token.isCancellationRequested) {
+            result.status = 'cancelled';
+            return result;
+        }
+
+        result.files = await commitFiles(result.worktree, parseFileBlocks(result.response), `${task.id}: ${task.description}`);
+        result.status = result.files.length > 0 ? 'implemented' : 'noChanges';
+    } catch (err) {
+        result.status = token.isCancellationRequested ? 'cancelled' : 'failed';
+        result.error = err.message;
+        result.output = err.output || '';
+    }
+    return result;
+}
 
-            // Detect tasks: "- [ ] T001 Description" or "- [x] T001 Description"
-            const taskMatch = line.match(/^- \[([ xX])\] (T\d+)(.+)/);
-            if (taskMatch && currentPhase) {
-                const isCompleted = taskMatch[1].toLowerCase() === 'x';
-                const taskId = taskMatch[2];
-                const description = taskMatch[3].trim();
-                
-                // Extract [P] and [Story] markers
-                const hasParallel = description.includes('[P]');
-                const storyMatch = description.match(/\[US\d+\]/);
-                const story = storyMatch ? storyMatch[0] : '';
-                
-                // Clean description
-                let cleanDesc = description
-                    .replace(/\[P\]/g, '')
-                    .replace(/\[US\d+\]/g, '')
-                    .trim();
-                
-                // Truncate long descriptions
-                if (cleanDesc.length > 80) {
-                    cleanDesc = cleanDesc.substring(0, 77) + '...';
+function formatWorktreeSummary(results, baseBranch, backend) {
+    const describe = result => {
+        switch (result.status) {
+            case 'merged':
+                return result.verification?.passed ? '✅ merged and verified' : `⚠️ merged, verification failed: ${result.verification?.problems.join('; ')}`;
+            case 'conflict': return `⚠️ conflicts in ${result.conflicts.map(file => `\`${file}\``).join(', ')}`;
+            case 'notMerged': return `⚠️ not merged: ${result.error}`;
+            case 'noChanges': return '⚠️ the response contained no files';
+            case 'cancelled': return '➖ cancelled';
+            default: return `❌ failed: ${result.error}`;
+        }
+    };
+
+    const lines = [
+        `# Parallel tasks into \`${baseBranch}\``,
+        '',
+        `Backend: ${backend.label}`,
+        '',
+        '| Task | Result | Files |',
+        '|------|--------|-------|',
+        ...results.map(result =>
+            `| ${result.taskItem.taskData.taskId} | ${describe(result).replace(/\|/g, '\\|')} | ${result.files.map(file => `\`${file}\``).join(', ')} |`
+        ),
+        ''
+    ];
+
+    const attention = results.filter(result => result.status !== 'merged' || !result.verification?.passed);
+    if (attention.length > 0) {
+        lines.push('## Needs attention', '');
+        for (const result of attention) {
+            const id = result.taskItem.taskData.taskId;
+            if (result.branchKept) {
+                lines.push(`- **${id}**: its branch \`${result.worktree.branch}\` was kept. Run \`git merge ${result.worktree.branch}\`` +
+                    `${result.status === 'conflict' ? ', resolve the conflicts' : ''}, then mark the task complete and delete the branch.`);
+            } else if (result.status === 'merged') {
+                lines.push(`- **${id}**: merged, but see \`verification/${id}.md\` before marking it complete.`);
+            } else if (result.status === 'noChanges') {
+                lines.push(`- **${id}**: nothing to merge. The response began with:`, '', '```text',
+                    result.response.split('\n').slice(0, 15).join('\n') || '(empty)', '```');
+            } else {
+                lines.push(`- **${id}**: ${describe(result)}. Implement it again from the task list.`);
+                if (result.output) {
+                    lines.push('', '```text', result.output, '```');
                 }
+            }
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// ========== RUN ALL ==========
+
+const RUN_STATE_KEY = 'traycer.runAll';
+
+/**
+ * @typedef {Object} RunState
+ * @property {string} filePath - tasks.md being worked through
+ * @property {'running'|'paused'} status
+ * @property {string[]} done - Tasks this run completed
+ * @property {string[]} skipped - Tasks this run leaves for later; they do not hold up their dependents
+ * @property {string[]} approvedCheckpoints - '<phase name>: <checkpoint text>'
+ * @property {string|null} lastTaskId
+ * @property {string} startedAt
+ */
+
+// Pause/cancel requests for the run in progress in this window; its progress is kept in RUN_STATE_KEY
+let activeRun = null;
+
+/**
+ * @returns {RunState|null}
+ */
+function getRunState(context) {
+    return context.workspaceState.get(RUN_STATE_KEY) || null;
+}
+
+async function saveRunState(context, state) {
+    await context.workspaceState.update(RUN_STATE_KEY, state || undefined);
+    await vscode.commands.executeCommand('setContext', 'traycer.runState', state ? state.status : '');
+}
+
+function describeRun(state) {
+    return `Run All of ${vscode.workspace.asRelativePath(state.filePath)} (${state.done.length} completed` +
+        (state.skipped.length > 0 ? `, skipped ${state.skipped.join(', ')}` : '') + ')';
+}
+
+async function runAllTasks(context) {
+    if (activeRun) {
+        vscode.window.showInformationMessage('Run All is already in progress. Pause or cancel it first.');
+        return;
+    }
+
+    const existing = getRunState(context);
+    if (existing) {
+        const choice = await vscode.window.showInformationMessage(
+            `${describeRun(existing)} is paused. Resume it?`,
+            'Resume',
+            'Start Over'
+        );
+        if (choice === 'Resume') {
+            await executeRun(context);
+            return;
+        }
+        if (choice !== 'Start Over') return;
+    }
+
+    const workspaceFolder = await pickWorkspaceFolder('Select the workspace folder to implement');
+    if (!workspaceFolder) {
+        return;
+    }
+
+    const backend = getBackend();
+    const mode = await vscode.window.showQuickPick(
+        [
+            { label: '$(run-all) Run tasks one by one', description: `${backend.label}, verifying and ticking off each task`, value: 'tasks' },
+            { label: '$(comment-discussion) Send /speckit.implement', description: 'The agent works through tasks.md by itself', value: 'implement' }
+        ],
+        { placeHolder: 'How should the tasks be implemented?' }
+    );
+    if (!mode) return;
+
+    if (mode.value === 'implement') {
+        const feature = getActiveFeature(context, workspaceFolder);
+        const command = '/speckit.implement';
+        const fullPrompt = feature ? withTargetFeature(command, feature) : command;
+
+        await sendWorkflowPrompt('implement', withWorkspaceFolder(fullPrompt, workspaceFolder), 'implement all tasks');
+        return;
+    }
+
+    const feature = await detectFeature(context, workspaceFolder, 'Select the feature to implement');
+    if (!feature) return;
+    const filePath = path.join(workspaceFolder.uri.fsPath, 'specs', feature, 'tasks.md');
+    if (!fs.existsSync(filePath)) {
+        vscode.window.showWarningMessage(`specs/${feature}/tasks.md not found. Run the Task Breakdown step first.`);
+        return;
+    }
 
-                const label = `${taskId} ${story} ${cleanDesc}`.trim();
-                const icon = isCompleted ? '✓' : (hasParallel ? '⚡' : '○');
-                
-                const taskItem = new TaskItem(
-                    `${icon} ${label}`,
-                    filePath,
-                    'task',
-                    vscode.TreeItemCollapsibleState.None,
-                    {
-                        taskId,
-                        description: cleanDesc,
-                        isCompleted,
-                        hasParallel,
-                        story,
-                        lineNumber: i
-                    }
-                );
-                
-                currentTasks.push(taskItem);
-            }
+    // Streaming backends' answers are written into the folder, so start from a state git can restore
+    if (backend.streams) {
+        const problem = await checkRepository(workspaceFolder.uri.fsPath);
+        if (problem) {
+            vscode.window.showWarningMessage(`Run All writes the answers of ${backend.label} into ${workspaceFolder.name}. ${problem}.`);
+            return;
         }
+    }
 
-        // Add last phase
-        if (currentPhase) {
-            currentPhase.tasks = currentTasks;
-            phases.push(currentPhase);
-        }
+    await saveRunState(context, {
+        filePath,
+        status: 'running',
+        done: [],
+        skipped: [],
+        approvedCheckpoints: [],
+        lastTaskId: null,
+        startedAt: new Date().toISOString()
+    });
+    await executeRun(context);
+}
 
-        return phases;
+function pauseRun(context) {
+    if (activeRun) {
+        activeRun.pauseRequested = true;
+        vscode.window.showInformationMessage('Run All will pause once the current task is handled.');
+    } else if (!getRunState(context)) {
+        vscode.window.showInformationMessage('No Run All in progress.');
     }
 }
 
-class TaskItem extends vscode.TreeItem {
-    constructor(label, filePath, type, collapsibleState, taskData = null) {
-        super(label, collapsibleState);
-        this.type = type;
-        this.filePath = filePath;
-        this.taskData = taskData;
-        this.contextValue = type;
+async function resumeRun(context) {
+    if (activeRun) {
+        return;
+    }
+    if (!getRunState(context)) {
+        vscode.window.showInformationMessage('No paused Run All to resume.');
+        return;
+    }
+    await executeRun(context);
+}
 
-        if (type === 'task' && taskData) {
-            this.tooltip = taskData.description;
-            this.description = taskData.isCompleted ? '(completed)' : '';
-            
-            // Add command to open file at task line
-            this.command = {
-                command: 'vscode.open',
-                title: 'Open Task',
-                arguments: [
-                    vscode.Uri.file(filePath),
-                    { selection: new vscode.Range(taskData.lineNumber, 0, taskData.lineNumber, 0) }
-                ]
-            };
-        } else if (type === 'phase') {
-            this.iconPath = new vscode.ThemeIcon('folder');
-        }
+async function cancelRun(context) {
+    if (activeRun) {
+        activeRun.cancelRequested = true;
+        vscode.window.showInformationMessage('Run All will stop once the current task is handled.');
+        return;
+    }
+
+    const state = getRunState(context);
+    if (state) {
+        await saveRunState(context, null);
+        vscode.window.showInformationMessage(`${describeRun(state)} cancelled.`);
     }
 }
 
-async function implementTask(taskItem) {
-    if (!taskItem.taskData) return;
+/**
+ * Offer to resume a run that was going when the window closed
+ */
+function restoreRun(context) {
+    const state = getRunState(context);
+    if (!state) {
+        return;
+    }
 
-    const action = await vscode.window.showQuickPick(
-        [
-            { label: '$(github-action) Ask GitHub Copilot', value: 'copilot' },
-            { label: '$(file-code) Open in Editor', value: 'open' },
-            { label: '$(terminal) Show in Terminal Context', value: 'terminal' }
-        ],
-        { placeHolder: `Implement ${taskItem.taskData.taskId}: ${taskItem.taskData.description}` }
-    );
+    saveRunState(context, { ...state, status: 'paused' });
+    if (state.status === 'running') {
+        vscode.window.showInformationMessage(`${describeRun(state)} was interrupted. Resume it?`, 'Resume', 'Cancel Run')
+            .then(choice => {
+                if (choice === 'Resume') {
+                    return resumeRun(context);
+                } else if (choice === 'Cancel Run') {
+                    return cancelRun(context);
+                }
+            });
+    }
+}
 
-    if (!action) return;
+/**
+ * Work through the open tasks of the run's tasks.md in order: implement each via the AI
+ * backend, verify it and tick it off, stopping for approval at checkpoints
+ */
+async function executeRun(context) {
+    activeRun = { pauseRequested: false, cancelRequested: false };
+    const state = { ...getRunState(context), status: 'running' };
+    await saveRunState(context, state);
+    const backend = getBackend();
+
+    let outcome;
+    try {
+        outcome = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Run All Tasks', cancellable: true },
+            async (progress, token) => {
+                // Cancelling the notification pauses; Cancel Run discards the run
+                token.onCancellationRequested(() => {
+                    activeRun.pauseRequested = true;
+                });
+
+                while (true) {
+                    if (activeRun.cancelRequested) return 'cancelled';
+                    if (activeRun.pauseRequested) return 'paused';
+                    if (!fs.existsSync(state.filePath)) return 'missing';
+
+                    const doc = parseTasks(fs.readFileSync(state.filePath, 'utf8'));
+                    const graph = buildTaskGraph(doc);
+                    const skipped = new Set(state.skipped);
+                    const open = doc.tasks.filter(task => !task.completed && !skipped.has(task.id));
+                    if (open.length === 0) return 'finished';
+
+                    const task = open.find(candidate =>
+                        getUnmetPrerequisites(graph, candidate.id).every(prerequisite => skipped.has(prerequisite.id))
+                    );
+                    if (!task) return 'blocked';
+
+                    const completed = doc.tasks.filter(candidate => candidate.completed).length;
+                    progress.report({ message: `${completed}/${doc.tasks.length} done - ${task.id}: ${task.description.slice(0, 60)}` });
+
+                    const checkpoint = getPendingCheckpoint(doc, state, task);
+                    if (checkpoint) {
+                        const choice = await vscode.window.showInformationMessage(
+                            `Checkpoint - ${checkpoint}. Review the work so far before ${task.id} starts.`,
+                            'Continue',
+                            'Pause'
+                        );
+                        if (choice !== 'Continue') return 'paused';
+                        state.approvedCheckpoints.push(checkpoint);
+                        await saveRunState(context, state);
+                    }
 
-    if (action.value === 'copilot') {
-        // Use Copilot Chat API
-        const prompt = `Implement this task from tasks.md:
+                    const result = await runTaskOfRun(context, state, task, backend);
+                    if (result === 'paused' || result === 'cancelled') return result;
 
-Task ID: ${taskItem.taskData.taskId}
-Description: ${taskItem.taskData.description}
-Story: ${taskItem.taskData.story}
-File: ${taskItem.filePath}
+                    (result === 'done' ? state.done : state.skipped).push(task.id);
+                    state.lastTaskId = task.id;
+                    await saveRunState(context, state);
+                }
+            }
+        );
+    } catch (err) {
+        vscode.window.showErrorMessage(`Run All stopped: ${err.message}`);
+        outcome = 'paused';
+    } finally {
+        activeRun = null;
+    }
+
+    if (outcome === 'finished' || outcome === 'cancelled' || outcome === 'missing') {
+        await saveRunState(context, null);
+        const message = outcome === 'finished' ? `${describeRun(state)} finished.`
+            : outcome === 'cancelled' ? `${describeRun(state)} cancelled.`
+            : `${vscode.workspace.asRelativePath(state.filePath)} no longer exists; Run All stopped.`;
+        vscode.window.showInformationMessage(message);
+        return;
+    }
+
+    await saveRunState(context, { ...state, status: 'paused' });
+    const message = outcome === 'blocked'
+        ? `${describeRun(state)} paused: every open task waits for another one. Check the dependencies in tasks.md.`
+        : `${describeRun(state)} paused.`;
+    const choice = await vscode.window.showInformationMessage(message, 'Resume', 'Cancel Run');
+    if (choice === 'Resume') {
+        await resumeRun(context);
+    } else if (choice === 'Cancel Run') {
+        await cancelRun(context);
+    }
+}
+
+/**
+ * First checkpoint not approved yet between the previous task of the run and the next one
+ * @returns {string|null} '<phase name>: <checkpoint text>'
+ */
+function getPendingCheckpoint(doc, state, task) {
+    const last = state.lastTaskId && doc.tasks.find(candidate => candidate.id === state.lastTaskId);
+    if (!last) {
+        return null;
+    }
+
+    const phase = doc.phases[last.phaseIndex];
+    return phase.checkpoints
+        .filter(checkpoint => checkpoint.line > last.line && (task.phaseIndex !== last.phaseIndex || checkpoint.line < task.line))
+        .map(checkpoint => `${phase.name}: ${checkpoint.text}`)
+        .find(key => !state.approvedCheckpoints.includes(key)) || null;
+}
 
-Please implement this task following the specification. Create or modify the necessary files.`;
+function toTaskItem(filePath, task) {
+    return {
+        filePath,
+        taskData: { taskId: task.id, description: task.description, isCompleted: task.completed, lineNumber: task.line, task }
+    };
+}
 
+/**
+ * Implement, verify and tick off one task, asking the user whenever a step does not succeed
+ * @returns {Promise<'done'|'skipped'|'paused'|'cancelled'>}
+ */
+async function runTaskOfRun(context, state, task, backend) {
+    const taskItem = toTaskItem(state.filePath, task);
+    const workspaceFolder = getWorkspaceFolderOf(state.filePath);
+    const workspacePath = workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(state.filePath);
+    // Streaming backends only answer in text, so they are asked for whole files that the run writes itself
+    const request = backend.streams ? `${buildImplementPrompt(taskItem)}\n\n${FILE_BLOCK_INSTRUCTIONS}` : buildImplementPrompt(taskItem);
+    const prompt = withWorkspaceFolder(request, workspaceFolder);
+    await recordTaskStart(context, [taskItem]);
+
+    let attempt = prompt;
+    while (true) {
+        let applied = [];
         try {
-            // Open Copilot Chat with the prompt
-            await vscode.commands.executeCommand('workbench.action.chat.open', {
-                query: prompt
-            });
+            const response = await sendPrompt(attempt, { title: `Implement ${task.id}`, backend });
+            if (backend.streams && response === undefined) {
+                return 'paused';
+            }
+            if (backend.streams && !activeRun.cancelRequested) {
+                applied = await applyFileBlocks(workspacePath, task, parseFileBlocks(response));
+            }
         } catch (err) {
-            vscode.window.showErrorMessage('GitHub Copilot not available. Opening file instead.');
-            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(taskItem.filePath));
+            const choice = await vscode.window.showErrorMessage(`${backend.label} failed on ${task.id}: ${err.message}`, 'Retry', 'Skip', 'Pause');
+            if (choice === 'Retry') continue;
+            return choice === 'Skip' ? 'skipped' : 'paused';
         }
-    } else if (action.value === 'open') {
-        await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(taskItem.filePath), {
-            selection: new vscode.Range(taskItem.taskData.lineNumber, 0, taskItem.taskData.lineNumber, 0)
-        });
-    } else if (action.value === 'terminal') {
-        const terminal = vscode.window.createTerminal('Spec Task');
-        terminal.show();
-        terminal.sendText(`# Task: ${taskItem.taskData.taskId}`);
-        terminal.sendText(`# ${taskItem.taskData.description}`);
+        if (activeRun.cancelRequested) return 'cancelled';
+
+        // Verification of a task that names no files can pass without any change, so an answer without files is not a success
+        if (backend.streams && applied.length === 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `The answer for ${task.id} contained no files to apply.`,
+                'Retry',
+                'Skip',
+                'Pause'
+            );
+            if (choice === 'Retry') {
+                attempt = `${prompt}\n\nYour previous answer contained no files. Follow the reply format above.`;
+                continue;
+            }
+            return choice === 'Skip' ? 'skipped' : 'paused';
+        }
+
+        // Copilot Chat does not report when it is done, so the user says so
+        if (!backend.streams) {
+            const choice = await vscode.window.showInformationMessage(
+                `Continue once ${backend.label} has finished ${task.id}.`,
+                'Done',
+                'Skip',
+                'Pause'
+            );
+            if (choice === 'Skip') return 'skipped';
+            if (choice !== 'Done') return 'paused';
+        }
+        if (activeRun.cancelRequested) return 'cancelled';
+
+        const [result] = await verifyTaskItems(context, [taskItem]);
+        if (result && result.report.passed && (applied.length > 0 || isConclusive(result.report))) {
+            return await markRunTaskDone(state.filePath, task) ? 'done' : 'paused';
+        }
+        if (result && result.report.passed) {
+            // Nothing shows that Copilot Chat changed anything, so the user decides
+            const choice = await vscode.window.showWarningMessage(
+                `${task.id} names no files and no verify commands ran, so its changes could not be checked.`,
+                'Mark Complete',
+                'Skip',
+                'Pause'
+            );
+            if (choice === 'Mark Complete') {
+                return await markRunTaskDone(state.filePath, task) ? 'done' : 'paused';
+            }
+            return choice === 'Skip' ? 'skipped' : 'paused';
+        }
+
+        const problems = result ? result.report.problems : ['verification was cancelled'];
+        const choice = await vscode.window.showWarningMessage(
+            `${task.id} failed verification: ${problems.join('; ')}`,
+            'Retry',
+            'Mark Complete',
+            'Skip',
+            'Pause'
+        );
+        if (choice === 'Retry') {
+            attempt = `${prompt}\n\nA previous attempt failed local verification:\n${problems.map(problem => `- ${problem}`).join('\n')}`;
+            continue;
+        }
+        if (choice === 'Mark Complete') {
+            return await markRunTaskDone(state.filePath, task) ? 'done' : 'paused';
+        }
+        return choice === 'Skip' ? 'skipped' : 'paused';
     }
 }
 
-async function verifyTask(taskItem) {
-    if (!taskItem.taskData) return;
+/**
+ * Whether a passed verification checked anything: a changed file or a command that ran
+ * @param {object} report - VerificationReport
+ * @returns {boolean}
+ */
+// Editor and CI configuration: an answer only changes these when the user agrees
+const CONFIRMED_PATHS = ['.vscode/', '.github/workflows/'];
 
-    const prompt = `Verify this task implementation from tasks.md:
+/**
+ * Apply the files of a streamed answer to the workspace folder through a WorkspaceEdit, so open
+ * editors follow and the change can be undone. Paths outside the folder or inside .git are
+ * refused, and so are files with unsaved changes.
+ * @param {string} workspacePath
+ * @param {object} task - Task the answer is for
+ * @param {{path: string, content: string}[]} files - From parseFileBlocks
+ * @returns {Promise<string[]>} Files applied, as named in the answer
+ */
+async function applyFileBlocks(workspacePath, task, files) {
+    const root = path.resolve(workspacePath) + path.sep;
+    const refused = [];
+    let targets = [];
+
+    for (const file of files) {
+        const target = path.resolve(workspacePath, file.path);
+        const relPath = path.relative(workspacePath, target).split(path.sep).join('/');
+        const document = vscode.workspace.textDocuments.find(candidate => candidate.uri.fsPath === target);
+        if (path.isAbsolute(file.path) || !target.startsWith(root)) {
+            refused.push(`${file.path} (outside the workspace folder)`);
+        } else if (relPath.split('/').some(segment => segment.toLowerCase() === '.git')) {
+            refused.push(`${file.path} (inside .git)`);
+        } else if (document && document.isDirty) {
+            refused.push(`${file.path} (unsaved changes)`);
+        } else {
+            targets.push({ ...file, relPath, uri: vscode.Uri.file(target) });
+        }
+    }
 
-Task ID: ${taskItem.taskData.taskId}
-Description: ${taskItem.taskData.description}
-Story: ${taskItem.taskData.story}
+    const confirmed = targets.filter(file => CONFIRMED_PATHS.some(prefix => file.relPath.startsWith(prefix)));
+    if (confirmed.length > 0) {
+        const choice = await vscode.window.showWarningMessage(
+            `The answer for ${task.id} changes editor or CI configuration. Apply these files too?`,
+            { modal: true, detail: confirmed.map(file => file.relPath).join('\n') },
+            'Apply'
+        );
+        if (choice !== 'Apply') {
+            refused.push(...confirmed.map(file => `${file.path} (not confirmed)`));
+            targets = targets.filter(file => !confirmed.includes(file));
+        }
+    }
 
-Please check:
-1. Are the required files created/modified?
-2. Does the implementation match the task description?
-3. Are there any issues or improvements needed?
-4. Should this task be marked as complete [x]?
+    const edit = new vscode.WorkspaceEdit();
+    for (const file of targets) {
+        if (fs.existsSync(file.uri.fsPath)) {
+            const document = await vscode.workspace.openTextDocument(file.uri);
+            edit.replace(file.uri, new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)), file.content);
+        } else {
+            edit.createFile(file.uri, { ignoreIfExists: true });
+            edit.insert(file.uri, new vscode.Position(0, 0), file.content);
+        }
+    }
+    if (targets.length > 0 && !await vscode.workspace.applyEdit(edit)) {
+        throw new Error('the files of the answer could not be applied');
+    }
 
-Provide a verification report.`;
+    // Verification reads the files from disk
+    for (const file of targets) {
+        await (await vscode.workspace.openTextDocument(file.uri)).save();
+    }
 
-    try {
-        await vscode.commands.executeCommand('workbench.action.chat.open', {
-            query: prompt
-        });
-    } catch (err) {
-        vscode.window.showInformationMessage(`Verify ${taskItem.taskData.taskId}: Check implementation manually`);
+    if (refused.length > 0) {
+        vscode.window.showWarningMessage(`Not applied from the answer for ${task.id}: ${refused.join(', ')}`);
     }
+    return targets.map(file => file.path);
 }
 
-async function implementPhase(phaseItem) {
-    const tasks = phaseItem.tasks || [];
-    const incompleteTasks = tasks.filter(t => t.taskData && !t.taskData.isCompleted);
+function isConclusive(report) {
+    return report.files.some(file => file.changed) || report.commands.length > 0;
+}
 
-    if (incompleteTasks.length === 0) {
-        vscode.window.showInformationMessage('All tasks in this phase are completed!');
+async function markRunTaskDone(filePath, task) {
+    // The agent may have ticked the task itself (or edited tasks.md), so work from the current file
+    const current = parseTasks(fs.readFileSync(filePath, 'utf8')).tasks.find(candidate => candidate.id === task.id);
+    if (!current) {
+        vscode.window.showWarningMessage(`${task.id} is no longer in ${path.basename(filePath)}.`);
+        return false;
+    }
+    return current.completed || setTaskCompletion([toTaskItem(filePath, current)], true);
+}
+
+// ========== TASK GRAPH ==========
+
+// tasks.md path -> { panel, filePath, stories }; stories is null while every story is shown
+const graphPanels = new Map();
+
+/**
+ * Open the dependency graph of a tasks.md in a webview
+ * @param {SpecTaskProvider} taskProvider
+ * @param {TaskItem} [item] - A phase or task of the tasks.md; otherwise the active feature's
+ */
+async function showTaskGraph(taskProvider, item) {
+    let filePath = item && item.filePath;
+    if (!filePath) {
+        const tasksPaths = getSpecFolders().flatMap(folder => taskProvider.getTasksPaths(folder));
+        if (tasksPaths.length === 0) {
+            vscode.window.showInformationMessage('No tasks.md found. Run the Task Breakdown step first.');
+            return;
+        }
+        filePath = tasksPaths.length === 1 ? tasksPaths[0] : (await vscode.window.showQuickPick(
+            tasksPaths.map(tasksPath => ({ label: vscode.workspace.asRelativePath(tasksPath), tasksPath })),
+            { placeHolder: 'Show the graph of which tasks.md?' }
+        ))?.tasksPath;
+        if (!filePath) return;
+    }
+
+    const existing = graphPanels.get(filePath);
+    if (existing) {
+        existing.panel.reveal();
         return;
     }
 
-    const confirm = await vscode.window.showWarningMessage(
-        `Implement all ${incompleteTasks.length} tasks in ${phaseItem.label}?`,
-        'Yes', 'No'
+    const panel = vscode.window.createWebviewPanel(
+        'traycerTaskGraph',
+        `Task Graph: ${path.basename(path.dirname(filePath))}`,
+        vscode.ViewColumn.Active,
+        { enableScripts: true }
     );
+    const entry = { panel, filePath, stories: null };
+    graphPanels.set(filePath, entry);
+    panel.onDidDispose(() => graphPanels.delete(filePath));
+
+    panel.webview.onDidReceiveMessage(async message => {
+        if (message.type === 'ready') {
+            // Sent when the page loads, also after it was hidden and is shown again
+            renderTaskGraphPanel(entry);
+        } else if (message.type === 'open') {
+            // Same as clicking the task in the Implementation Tasks tree
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(filePath), {
+                selection: new vscode.Range(message.line, 0, message.line, 0)
+            });
+        } else if (message.type === 'filter') {
+            entry.stories = message.stories;
+            renderTaskGraphPanel(entry);
+        } else if (message.type === 'export') {
+            await exportTaskGraph(entry, message.format);
+        }
+    });
 
-    if (confirm !== 'Yes') return;
+    panel.webview.html = getTaskGraphHtml(panel.webview);
+}
 
-    const taskList = incompleteTasks.map(t => 
-        `- ${t.taskData.taskId}: ${t.taskData.description}`
-    ).join('\n');
+function refreshTaskGraphs() {
+    for (const entry of graphPanels.values()) {
+        renderTaskGraphPanel(entry);
+    }
+}
 
-    const prompt = `Implement all tasks in this phase:
+/**
+ * Graph of the panel's tasks.md as it is on disk, limited to the selected stories
+ * @returns {{graph: object, options: object, stories: string[]}|null} null when tasks.md is gone
+ */
+function loadTaskGraph(entry) {
+    if (!fs.existsSync(entry.filePath)) {
+        return null;
+    }
+    const graph = buildTaskGraph(parseTasks(fs.readFileSync(entry.filePath, 'utf8')));
+    const stories = getStories(graph);
+    return {
+        graph,
+        stories,
+        options: {
+            stories: entry.stories && stories.filter(story => entry.stories.includes(story)),
+            verifications: readVerificationResults(path.dirname(entry.filePath))
+        }
+    };
+}
 
-${phaseItem.label}
+/**
+ * Send the current graph to the panel's page, which swaps it in without reloading
+ */
+function renderTaskGraphPanel(entry) {
+    const loaded = loadTaskGraph(entry);
+    if (!loaded) {
+        entry.panel.dispose();
+        return;
+    }
 
-Tasks to implement:
-${taskList}
+    const { graph, options, stories } = loaded;
+    const selected = options.stories || stories;
+    entry.panel.webview.postMessage({
+        type: 'update',
+        filters: stories.map(story =>
+            `<label><input type="checkbox" value="${story}"${selected.includes(story) ? ' checked' : ''}> ` +
+            `${story === NO_STORY ? 'No story' : story}</label>`
+        ).join('\n'),
+        graph: graph.doc.tasks.length > 0 ? renderTaskGraphSvg(graph, options) : '<p>No tasks in tasks.md yet.</p>'
+    });
+}
 
-Please implement these tasks sequentially, following the specification and creating/modifying necessary files.`;
+/**
+ * Page of the graph panel; the story filters and the graph arrive from renderTaskGraphPanel
+ * @param {vscode.Webview} webview
+ * @returns {string}
+ */
+function getTaskGraphHtml(webview) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const legend = Object.values(STATUS_STYLES)
+        .map(style => `<span><i style="background:${style.fill}"></i>${style.label}</span>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<style>
+    body { color: var(--vscode-foreground); font-family: var(--vscode-font-family); }
+    .toolbar, .legend { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin-bottom: 8px; }
+    .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+    button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 10px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+</style>
+</head>
+<body>
+<div class="toolbar">
+    <strong>User stories:</strong>
+    <span id="filters" class="toolbar"></span>
+    <button data-export="svg">Export SVG</button>
+    <button data-export="mermaid">Export Mermaid</button>
+</div>
+<div class="legend">${legend}<span>Dashed: depends on / same file. Click a task to open it in tasks.md.</span></div>
+<div id="graph"></div>
+<script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const filters = document.getElementById('filters');
+    const graph = document.getElementById('graph');
+
+    // Content is replaced on every update, so listen on the containers
+    filters.addEventListener('change', () => {
+        const stories = [...filters.querySelectorAll('input[type=checkbox]:checked')].map(checked => checked.value);
+        vscode.postMessage({ type: 'filter', stories });
+    });
+    graph.addEventListener('click', event => {
+        const node = event.target.closest('[data-line]');
+        if (node) {
+            vscode.postMessage({ type: 'open', line: Number(node.dataset.line) });
+        }
+    });
+    document.querySelectorAll('button[data-export]').forEach(button => button.addEventListener('click', () => {
+        vscode.postMessage({ type: 'export', format: button.dataset.export });
+    }));
+
+    window.addEventListener('message', event => {
+        if (event.data.type === 'update') {
+            filters.innerHTML = event.data.filters;
+            graph.innerHTML = event.data.graph;
+        }
+    });
+    vscode.postMessage({ type: 'ready' });
+</script>
+</body>
+</html>`;
+}
 
-    try {
-        await vscode.commands.executeCommand('workbench.action.chat.open', {
-            query: prompt
-        });
-    } catch (err) {
-        vscode.window.showErrorMessage('GitHub Copilot not available.');
+/**
+ * Save the graph as shown (same story filter) next to tasks.md
+ * @param {'svg'|'mermaid'} format
+ */
+async function exportTaskGraph(entry, format) {
+    const loaded = loadTaskGraph(entry);
+    if (!loaded) return;
+
+    const extension = format === 'svg' ? 'svg' : 'mmd';
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(path.dirname(entry.filePath), `tasks-graph.${extension}`)),
+        filters: format === 'svg' ? { 'SVG Image': ['svg'] } : { Mermaid: ['mmd', 'md'] }
+    });
+    if (!uri) return;
+
+    let content = format === 'svg'
+        ? renderTaskGraphSvg(loaded.graph, loaded.options)
+        : renderTaskGraphMermaid(loaded.graph, loaded.options);
+    if (format === 'mermaid' && uri.fsPath.endsWith('.md')) {
+        content = `\`\`\`mermaid\n${content}\`\`\`\n`;
+    }
+    fs.writeFileSync(uri.fsPath, content);
+
+    const choice = await vscode.window.showInformationMessage(
+        `Task graph exported to ${vscode.workspace.asRelativePath(uri)}`,
+        'Open'
+    );
+    if (choice === 'Open') {
+        await vscode.commands.executeCommand('vscode.open', uri);
     }
 }
 
-async function verifyPhase(phaseItem) {
-    const tasks = phaseItem.tasks || [];
-    const completedTasks = tasks.filter(t => t.taskData && t.taskData.isCompleted);
-    const incompleteTasks = tasks.filter(t => t.taskData && !t.taskData.isCompleted);
+// ========== FILE WATCHER ==========
 
-    const taskList = tasks.map(t => {
-        const status = t.taskData.isCompleted ? '✓' : '✗';
-        return `${status} ${t.taskData.taskId}: ${t.taskData.description}`;
-    }).join('\n');
+// Copilot writes several files in quick succession during a step; refresh once it settles
+const WATCH_DEBOUNCE_MS = 500;
 
-    const prompt = `Verify implementation of this phase:
+/**
+ * Refresh both views when Spec-Kit files change. Changes inside specs/<feature>/
+ * only re-render that feature (and the phases of its tasks.md); anything else
+ * (templates, constitution, agents, features added or removed) refreshes the root.
+ */
+function watchSpecFiles(context, taskProvider, workflowProvider) {
+    const pending = new Map();  // fsPath -> Uri
+    let watchers = [];
+    let timer;
+
+    const flush = async () => {
+        const changed = [...pending.values()];
+        pending.clear();
+
+        const features = new Map();  // "<folder>:<feature>" -> { workspaceFolder, feature }
+        const tasksFiles = new Map();  // tasks.md path -> workspaceFolder
+        const specFolders = new Set();
+        let refreshWorkflow = false;
+        let refreshTasks = false;
+
+        for (const uri of changed) {
+            const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+            if (!workspaceFolder) {
+                continue;
+            }
 
-${phaseItem.label}
+            const parts = path.relative(workspaceFolder.uri.fsPath, uri.fsPath).split(path.sep);
+            if (parts[0] === 'specs' && parts.length >= 3) {
+                features.set(`${workspaceFolder.uri.fsPath}:${parts[1]}`, { workspaceFolder, feature: parts[1] });
+                if (parts.length === 3 && parts[2] === 'tasks.md') {
+                    tasksFiles.set(uri.fsPath, workspaceFolder);
+                }
+                if (parts.length === 4 && parts[2] === VERIFICATION_DIR) {
+                    // A verification report changes the status shown on its task
+                    tasksFiles.set(path.join(workspaceFolder.uri.fsPath, 'specs', parts[1], 'tasks.md'), workspaceFolder);
+                }
+                if (parts.length === 3 && parts[2] === 'spec.md') {
+                    specFolders.add(workspaceFolder);
+                }
+            } else if (parts[0] === 'specs') {
+                // specs/ itself or a feature folder was created or deleted
+                refreshWorkflow = true;
+                refreshTasks = true;
+            } else {
+                refreshWorkflow = true;
+            }
+        }
 
-Tasks status:
-${taskList}
+        if (refreshWorkflow) {
+            workflowProvider.refresh();
+        } else {
+            features.forEach(({ workspaceFolder, feature }) => workflowProvider.refreshFeature(workspaceFolder, feature));
+            for (const workspaceFolder of specFolders) {
+                await workflowProvider.refreshRootStep(workspaceFolder, 'specify');
+            }
+        }
+
+        if (refreshTasks) {
+            taskProvider.refresh();
+        } else {
+            for (const [tasksFile, workspaceFolder] of tasksFiles) {
+                // The task view only lists the active feature when one is set
+                const activeFeature = getActiveFeature(context, workspaceFolder);
+                if (!activeFeature || path.basename(path.dirname(tasksFile)) === activeFeature) {
+                    await taskProvider.refreshTasksFile(tasksFile);
+                }
+            }
+        }
+    };
+
+    const onChange = (uri) => {
+        pending.set(uri.fsPath, uri);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            flush().catch(err => vscode.window.showErrorMessage(`Failed to refresh Spec-Kit views: ${err.message}`));
+        }, WATCH_DEBOUNCE_MS);
+    };
+
+    // A checkout can switch the feature shown for the branch
+    const onHeadChange = (workspaceFolder) => {
+        branchCache.delete(workspaceFolder.uri.fsPath);
+        taskProvider.refresh();
+        workflowProvider.refresh();
+    };
+
+    // Every folder is watched, so one that gets initialized later shows up on its own
+    const createWatchers = () => {
+        watchers.forEach(watcher => watcher.dispose());
+        watchers = [];
+        branchCache.clear();
+        for (const workspaceFolder of vscode.workspace.workspaceFolders || []) {
+            for (const pattern of ['specs/**', '.specify/**', '.github/agents/**']) {
+                const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(workspaceFolder, pattern));
+                watcher.onDidCreate(onChange);
+                watcher.onDidChange(onChange);
+                watcher.onDidDelete(onChange);
+                watchers.push(watcher);
+            }
 
-Summary: ${completedTasks.length}/${tasks.length} tasks completed
+            // The git directory may lie outside the folder (a subdirectory of the repository or a worktree)
+            const gitDir = getGitDir(workspaceFolder.uri.fsPath);
+            if (gitDir) {
+                const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(gitDir), 'HEAD'));
+                watcher.onDidCreate(() => onHeadChange(workspaceFolder));
+                watcher.onDidChange(() => onHeadChange(workspaceFolder));
+                watchers.push(watcher);
+            }
+        }
+    };
 
-Please verify:
-1. Are all completed tasks properly implemented?
-2. Do implementations match the task descriptions?
-3. Are there any issues or improvements needed?
-4. Should any incomplete tasks be marked as complete?
-5. Can we proceed to the next phase?
+    createWatchers();
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            createWatchers();
+            taskProvider.refresh();
+            workflowProvider.refresh();
+        }),
+        {
+            dispose: () => {
+                clearTimeout(timer);
+                watchers.forEach(watcher => watcher.dispose());
+            }
+        }
+    );
+}
 
-Provide a detailed verification report.`;
+// ========== COPILOT CHAT ==========
+
+/**
+ * Send a /speckit.* prompt the way the step is configured to: pre-filled in chat,
+ * submitted straight away, or copied to the clipboard. Falls back to the clipboard
+ * when the chat command is not available.
+ * @param {string} stepId - Workflow step id (key of traycer.chat.stepInvocation)
+ * @param {string} prompt - Fully-formed prompt
+ * @param {string} purpose - Used in the clipboard notification, e.g. 'run the workflow step'
+ */
+async function sendWorkflowPrompt(stepId, prompt, purpose) {
+    const config = vscode.workspace.getConfiguration('traycer.chat');
+    const invocation = config.get('stepInvocation', {})[stepId] || 'prefill';
+    
+    if (invocation !== 'clipboard') {
+        const opened = await openChatWithPrompt(prompt, {
+            submit: invocation === 'submit',
+            mode: config.get('mode', 'agent')
+        });
+        if (opened) {
+            return;
+        }
+    }
+    
+    await copyPromptToClipboard(prompt, purpose);
+}
 
+/**
+ * Open chat with the prompt in the input box
+ * @param {string} prompt
+ * @param {{submit: boolean, mode: string}} options - submit sends the prompt immediately
+ * @returns {Promise<boolean>} false when the chat command is unavailable or fails
+ */
+async function openChatWithPrompt(prompt, options) {
+    const commands = await vscode.commands.getCommands(true);
+    if (!commands.includes('workbench.action.chat.open')) {
+        return false;
+    }
+    
     try {
         await vscode.commands.executeCommand('workbench.action.chat.open', {
-            query: prompt
+            query: prompt,
+            isPartialQuery: !options.submit,
+            mode: options.mode
         });
+        return true;
     } catch (err) {
-        vscode.window.showInformationMessage(
-            `Verify ${phaseItem.label}\n\n` +
-            `Completed: ${completedTasks.length}/${tasks.length}\n` +
-            `Incomplete: ${incompleteTasks.length}`
-        );
+        return false;
     }
 }
 
-async function runAllTasks() {
-    const command = '/speckit.implement';
-    
+async function copyPromptToClipboard(prompt, purpose) {
     // Copy to clipboard
-    await vscode.env.clipboard.writeText(command);
+    await vscode.env.clipboard.writeText(prompt);
     
     // Show notification with button to open Copilot Chat
     const choice = await vscode.window.showInformationMessage(
-        `📋 Copied to clipboard: ${command}\n\nPaste this in GitHub Copilot Chat to implement all tasks.`,
+        `📋 Copied to clipboard: ${prompt}\n\nPaste this in GitHub Copilot Chat to ${purpose}.`,
         'Open Copilot Chat',
         'Done'
     );
@@ -841,7 +3923,10 @@ async function runAllTasks() {
     }
 }
 
-function deactivate() {}
+function deactivate() {
+    // Diffs still open when the window closes
+    [...setupDiffDirs.keys()].forEach(removeSetupDiffDir);
+}
 
 module.exports = {
     activate,
@@ -0,0 +1,215 @@
+/**
+ * Native version of .specify/scripts/bash/create-new-feature.sh: numbers the feature,
+ * creates its git branch and scaffolds specs/NNN-short-name/spec.md.
+ * Has no VS Code dependency; git is called directly.
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Same filter as create-new-feature.sh
+const STOP_WORDS = new Set([
+    'i', 'a', 'an', 'the', 'to', 'for', 'of', 'in', 'on', 'at', 'by', 'with', 'from', 'is', 'are', 'was',
+    'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'should',
+    'could', 'can', 'may', 'might', 'must', 'shall', 'this', 'that', 'these', 'those', 'my', 'your', 'our',
+    'their', 'want', 'need', 'add', 'get', 'set'
+]);
+
+// GitHub enforces a 244-byte limit on branch names
+const MAX_BRANCH_LENGTH = 244;
+
+/**
+ * Lowercase, hyphen-separated form of a user-provided short name
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanShortName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Short name from a feature description: the first 3 meaningful words (4 if there are exactly 4).
+ * Short words are kept when written in upper case in the description (acronyms).
+ * @param {string} description
+ * @returns {string} e.g. 'photo-albums-grouped'
+ */
+function generateShortName(description) {
+    const words = description.toLowerCase().replace(/[^a-z0-9]/g, ' ').split(/\s+/).filter(Boolean);
+    const meaningful = words.filter(word =>
+        !STOP_WORDS.has(word) &&
+        (word.length >= 3 || new RegExp(`\\b${word.toUpperCase()}\\b`).test(description))
+    );
+
+    if (meaningful.length === 0) {
+        return cleanShortName(description).split('-').slice(0, 3).join('-');
+    }
+    return meaningful.slice(0, meaningful.length === 4 ? 4 : 3).join('-');
+}
+
+/**
+ * Next feature number after every NNN- prefix used by a spec directory or branch
+ * @param {string[]} names - specs/ directory names and branch names (remote prefixes allowed)
+ * @returns {number}
+ */
+function getNextFeatureNumber(names) {
+    let highest = 0;
+    for (const name of names) {
+        const match = name.replace(/^.*\//, '').match(/^(\d+)-/);
+        if (match) {
+            highest = Math.max(highest, parseInt(match[1], 10));
+        }
+    }
+    return highest + 1;
+}
+
+/**
+ * @param {number} number
+ * @param {string} shortName - Already cleaned
+ * @returns {string} e.g. '004-photo-albums', truncated to the branch name limit
+ */
+function formatFeatureName(number, shortName) {
+    const prefix = `${String(number).padStart(3, '0')}-`;
+    return `${prefix}${shortName.slice(0, MAX_BRANCH_LENGTH - prefix.length).replace(/-$/, '')}`;
+}
+
+/**
+ * Fill the placeholders create-new-feature.sh leaves for the agent that it can know already.
+ * [FEATURE NAME] and the sections stay for /speckit.specify (or the user) to write.
+ * @param {string} template - spec-template.md content
+ * @param {{featureName: string, description: string, date: string}} values
+ * @returns {string}
+ */
+function renderSpecTemplate(template, values) {
+    return template
+        .replace(/\[###-feature-name\]/g, values.featureName)
+        .replace(/\[DATE\]/g, values.date)
+        .replace(/\$ARGUMENTS/g, values.description.replace(/"/g, '\''));
+}
+
+function runGit(cwd, args) {
+    return spawnSync('git', args, { cwd, encoding: 'utf8', timeout: 10000 });
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {boolean} The folder is inside a git work tree
+ */
+function isGitRepository(workspacePath) {
+    const result = runGit(workspacePath, ['rev-parse', '--is-inside-work-tree']);
+    return !result.error && result.status === 0 && result.stdout.trim() === 'true';
+}
+
+/**
+ * Local and remote-tracking branch names (no fetch, so this works offline)
+ * @param {string} workspacePath
+ * @returns {string[]} e.g. ['main', 'origin/003-login']
+ */
+function listBranches(workspacePath) {
+    const result = runGit(workspacePath, ['branch', '--all', '--format=%(refname:short)']);
+    if (result.error || result.status !== 0) {
+        return [];
+    }
+    return result.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {string|null} Current branch, null outside git or on a detached HEAD
+ */
+function getCurrentBranch(workspacePath) {
+    const result = runGit(workspacePath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    const branch = !result.error && result.status === 0 ? result.stdout.trim() : '';
+    return branch && branch !== 'HEAD' ? branch : null;
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {string|null} Absolute git directory (the worktree's own one in a linked worktree),
+ *   null outside git
+ */
+function getGitDir(workspacePath) {
+    const result = runGit(workspacePath, ['rev-parse', '--absolute-git-dir']);
+    return !result.error && result.status === 0 ? result.stdout.trim() || null : null;
+}
+
+/**
+ * Feature directory a branch works on: the one named like the branch, else the only one
+ * sharing its NNN- prefix (so '004-fix-login' still finds specs/004-login)
+ * @param {string} branch
+ * @param {string[]} features - Directory names under specs/
+ * @returns {string|undefined}
+ */
+function findFeatureForBranch(branch, features) {
+    if (features.includes(branch)) {
+        return branch;
+    }
+
+    const prefix = branch.match(/^(\d+)-/);
+    if (!prefix) {
+        return undefined;
+    }
+    const matches = features.filter(feature => feature.startsWith(`${prefix[1]}-`));
+    return matches.length === 1 ? matches[0] : undefined;
+}
+
+/**
+ * Create the feature: branch (when in a git repository), specs/<name>/ and spec.md
+ * @param {string} workspacePath
+ * @param {string} description - What the user wants to build
+ * @param {string} [shortName] - Branch suffix; generated from the description when omitted
+ * @returns {{featureName: string, specFile: string, branchCreated: boolean, warning: string|null}}
+ */
+function createFeature(workspacePath, description, shortName) {
+    const specsPath = path.join(workspacePath, 'specs');
+    const hasGit = isGitRepository(workspacePath);
+    const existing = [
+        ...(fs.existsSync(specsPath) ? fs.readdirSync(specsPath) : []),
+        ...(hasGit ? listBranches(workspacePath) : [])
+    ];
+
+    const suffix = cleanShortName(shortName || generateShortName(description));
+    if (!suffix) {
+        throw new Error('The feature needs a short name with at least one letter or digit');
+    }
+    const featureName = formatFeatureName(getNextFeatureNumber(existing), suffix);
+
+    let branchCreated = false;
+    let warning = null;
+    if (hasGit) {
+        const result = runGit(workspacePath, ['checkout', '-b', featureName]);
+        branchCreated = !result.error && result.status === 0;
+        if (!branchCreated) {
+            warning = `Failed to create git branch ${featureName}: ${(result.stderr || result.error?.message || '').trim()}`;
+        }
+    } else {
+        warning = `Git repository not detected; skipped branch creation for ${featureName}`;
+    }
+
+    const featurePath = path.join(specsPath, featureName);
+    fs.mkdirSync(featurePath, { recursive: true });
+
+    const templatePath = path.join(workspacePath, '.specify', 'templates', 'spec-template.md');
+    const specFile = path.join(featurePath, 'spec.md');
+    const spec = fs.existsSync(templatePath)
+        ? renderSpecTemplate(fs.readFileSync(templatePath, 'utf8'), {
+            featureName,
+            description,
+            date: new Date().toISOString().slice(0, 10)
+        })
+        : '';
+    fs.writeFileSync(specFile, spec);
+
+    return { featureName, specFile, branchCreated, warning };
+}
+
+module.exports = {
+    cleanShortName,
+    generateShortName,
+    getNextFeatureNumber,
+    formatFeatureName,
+    renderSpecTemplate,
+    getCurrentBranch,
+    getGitDir,
+    findFeatureForBranch,
+    createFeature
+};
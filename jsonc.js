@@ -0,0 +1,385 @@
+/**
+ * Minimal JSON-with-comments support for merging into .vscode/settings.json.
+ * Edits are applied to the original text, so comments, formatting and key order survive.
+ */
+
+/**
+ * @typedef {Object} JsoncNode
+ * @property {'object'|'array'|'literal'} type
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {{key: string, keyStart: number, value: JsoncNode}[]} [properties] - For objects
+ * @property {JsoncNode[]} [items] - For arrays
+ * @property {*} [value] - For literals (strings, numbers, booleans, null)
+ */
+
+/**
+ * Parse JSONC text into a tree that remembers source offsets.
+ * Comments and trailing commas are allowed, as in VS Code settings files.
+ * @param {string} text
+ * @returns {JsoncNode}
+ */
+function parseTree(text) {
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new SyntaxError(`${message} at offset ${pos}`);
+    };
+
+    const skipTrivia = () => {
+        while (pos < text.length) {
+            if (/\s/.test(text[pos])) {
+                pos++;
+            } else if (text.startsWith('//', pos)) {
+                const newline = text.indexOf('\n', pos);
+                pos = newline === -1 ? text.length : newline;
+            } else if (text.startsWith('/*', pos)) {
+                const close = text.indexOf('*/', pos + 2);
+                if (close === -1) {
+                    fail('Unterminated comment');
+                }
+                pos = close + 2;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const parseString = () => {
+        const match = /"(?:[^"\\\n]|\\.)*"/y;
+        match.lastIndex = pos;
+        const found = match.exec(text);
+        if (!found) {
+            fail('Invalid string');
+        }
+        pos += found[0].length;
+        return JSON.parse(found[0]);
+    };
+
+    const parseValue = () => {
+        skipTrivia();
+        const start = pos;
+        const ch = text[pos];
+
+        if (ch === '{') {
+            pos++;
+            const properties = [];
+            for (;;) {
+                skipTrivia();
+                if (text[pos] === '}') {
+                    pos++;
+                    break;
+                }
+                if (text[pos] !== '"') {
+                    fail('Expected property name');
+                }
+                const keyStart = pos;
+                const key = parseString();
+                skipTrivia();
+                if (text[pos] !== ':') {
+                    fail('Expected ":"');
+                }
+                pos++;
+                properties.push({ key, keyStart, value: parseValue() });
+                skipTrivia();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] !== '}') {
+                    fail('Expected "," or "}"');
+                }
+            }
+            return { type: 'object', start, end: pos, properties };
+        }
+
+        if (ch === '[') {
+            pos++;
+            const items = [];
+            for (;;) {
+                skipTrivia();
+                if (text[pos] === ']') {
+                    pos++;
+                    break;
+                }
+                items.push(parseValue());
+                skipTrivia();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] !== ']') {
+                    fail('Expected "," or "]"');
+                }
+            }
+            return { type: 'array', start, end: pos, items };
+        }
+
+        if (ch === '"') {
+            const value = parseString();
+            return { type: 'literal', start, end: pos, value };
+        }
+
+        const literal = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+        literal.lastIndex = pos;
+        const found = literal.exec(text);
+        if (!found) {
+            fail('Unexpected token');
+        }
+        pos += found[0].length;
+        return { type: 'literal', start, end: pos, value: JSON.parse(found[0]) };
+    };
+
+    const root = parseValue();
+    skipTrivia();
+    if (pos < text.length) {
+        fail('Unexpected content after value');
+    }
+    return root;
+}
+
+/**
+ * @param {JsoncNode} node
+ * @returns {*} Plain JavaScript value
+ */
+function toValue(node) {
+    if (node.type === 'object') {
+        const value = {};
+        for (const property of node.properties) {
+            value[property.key] = toValue(property.value);
+        }
+        return value;
+    } else if (node.type === 'array') {
+        return node.items.map(toValue);
+    }
+    return node.value;
+}
+
+/**
+ * Parse JSONC text (comments and trailing commas allowed)
+ * @param {string} text
+ * @returns {*}
+ */
+function parseJsonc(text) {
+    return toValue(parseTree(orEmptyObject(text)));
+}
+
+// VS Code reads an empty settings.json as {}
+function orEmptyObject(text) {
+    return text.trim() === '' ? '{}\n' : text;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lineIndentAt(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function detectIndentUnit(text) {
+    const indented = text.match(/^[ \t]+(?=\S)/m);
+    return indented ? indented[0] : '    ';
+}
+
+/**
+ * Deep-merge source into JSONC text, editing only what changes.
+ * Objects are merged key by key; other values (including arrays) from source win.
+ * @param {string} text - Existing JSONC document whose root is an object
+ * @param {Object} source - Values to merge in
+ * @returns {{text: string, added: string[][], changed: string[][]}} Key paths that were added or changed
+ */
+function mergeJsonc(text, source) {
+    text = orEmptyObject(text);
+    const root = parseTree(text);
+    if (root.type !== 'object') {
+        throw new SyntaxError('Expected an object at the root');
+    }
+
+    const unit = detectIndentUnit(text);
+    const edits = [];
+    const added = [];
+    const changed = [];
+
+    const format = (value, indent) => JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+
+    const mergeObject = (node, values, keyPath) => {
+        const additions = [];
+
+        for (const [key, value] of Object.entries(values)) {
+            const property = node.properties.find(p => p.key === key);
+            if (!property) {
+                additions.push([key, value]);
+                added.push([...keyPath, key]);
+            } else if (isPlainObject(value) && property.value.type === 'object') {
+                mergeObject(property.value, value, [...keyPath, key]);
+            } else if (JSON.stringify(toValue(property.value)) !== JSON.stringify(value)) {
+                const indent = lineIndentAt(text, property.keyStart);
+                edits.push({ start: property.value.start, end: property.value.end, text: format(value, indent) });
+                changed.push([...keyPath, key]);
+            }
+        }
+
+        if (additions.length > 0) {
+            insertProperties(node, additions);
+        }
+    };
+
+    const insertProperties = (node, additions) => {
+        const last = node.properties[node.properties.length - 1];
+
+        // Nested objects written on one line stay on one line
+        if (node !== root && !text.slice(node.start, node.end).includes('\n')) {
+            const entries = additions.map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ');
+            if (!last) {
+                edits.push({ start: node.start + 1, end: node.end - 1, text: ` ${entries} ` });
+            } else {
+                const trailingComma = text.slice(last.value.end, node.end - 1).match(/^\s*,/);
+                edits.push(trailingComma
+                    ? { start: last.value.end + trailingComma[0].length, end: last.value.end + trailingComma[0].length, text: ` ${entries},` }
+                    : { start: last.value.end, end: last.value.end, text: `, ${entries}` });
+            }
+            return;
+        }
+
+        const closeIndent = lineIndentAt(text, node.start);
+        const indent = last ? lineIndentAt(text, last.keyStart) : closeIndent + unit;
+        const lines = additions.map(([key, value]) => `${indent}${JSON.stringify(key)}: ${format(value, indent)}`);
+
+        if (!last) {
+            const inner = text.slice(node.start + 1, node.end - 1);
+            if (inner.trim() === '') {
+                edits.push({ start: node.start + 1, end: node.end - 1, text: `\n${lines.join(',\n')}\n${closeIndent}` });
+            } else {
+                // Only comments inside: add after "{" and keep them below (trailing commas are allowed)
+                edits.push({ start: node.start + 1, end: node.start + 1, text: `\n${lines.join(',\n')},` });
+            }
+            return;
+        }
+
+        // Insert after the last property, past an existing trailing comma or end-of-line comment
+        let pos = last.value.end;
+        const rest = text.slice(pos, node.end - 1);
+        const trailingComma = rest.match(/^\s*,/);
+        if (trailingComma) {
+            pos += trailingComma[0].length;
+        } else {
+            edits.push({ start: pos, end: pos, text: ',' });
+        }
+        const lineRest = text.slice(pos).match(/^[ \t]*(\/\/[^\n]*)?/);
+        pos += lineRest[0].length;
+
+        edits.push({ start: pos, end: pos, text: `\n${lines.join(',\n')}${trailingComma ? ',' : ''}` });
+    };
+
+    mergeObject(root, source, []);
+
+    // Apply back to front; inserts at the same offset keep the order they were added in
+    const ordered = edits
+        .map((edit, index) => ({ ...edit, index }))
+        .sort((a, b) => b.start - a.start || b.index - a.index);
+
+    let result = text;
+    for (const edit of ordered) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+
+    return { text: result, added, changed };
+}
+
+/**
+ * Remove properties from JSONC text, leaving everything else as it was
+ * @param {string} text - Existing JSONC document whose root is an object
+ * @param {string[][]} keyPaths - Properties to remove, e.g. [['chat.tools.terminal.autoApprove', '.specify/scripts/bash/']]
+ * @returns {{text: string, removed: string[][]}} Key paths that were found and removed
+ */
+function removeJsonc(text, keyPaths) {
+    if (text.trim() === '') {
+        return { text, removed: [] };
+    }
+
+    const root = parseTree(text);
+    if (root.type !== 'object') {
+        throw new SyntaxError('Expected an object at the root');
+    }
+
+    const edits = [];
+    const removed = [];
+
+    // Group the key paths by the object that holds them
+    const targets = new Map();
+    for (const keyPath of keyPaths) {
+        let holder = null;
+        let node = root;
+        let property = null;
+        for (const key of keyPath) {
+            property = node.type === 'object' ? node.properties.find(p => p.key === key) : null;
+            if (!property) {
+                break;
+            }
+            holder = node;
+            node = property.value;
+        }
+        if (!property) {
+            continue;
+        }
+        if (!targets.has(holder)) {
+            targets.set(holder, new Set());
+        }
+        if (!targets.get(holder).has(property)) {
+            targets.get(holder).add(property);
+            removed.push(keyPath);
+        }
+    }
+
+    for (const [node, properties] of targets) {
+        const kept = node.properties.filter(p => !properties.has(p));
+
+        node.properties.forEach((property, index) => {
+            if (!properties.has(property)) {
+                return;
+            }
+            const next = node.properties[index + 1];
+            let start = property.keyStart;
+            let end = property.value.end;
+            const trailingComma = text.slice(end, next ? next.keyStart : node.end - 1).match(/^\s*,/);
+            if (trailingComma) {
+                end += trailingComma[0].length;
+            }
+
+            // A property on its own line takes the whole line with it, end-of-line comment included
+            const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+            const lineRest = text.slice(end).match(/^[ \t]*(?:\/\/[^\n]*)?(?:\n|$)/);
+            if (text.slice(lineStart, start).trim() === '' && lineRest) {
+                start = lineStart;
+                end += lineRest[0].length;
+            } else {
+                end += text.slice(end).match(/^[ \t]*/)[0].length;
+            }
+            edits.push({ start, end });
+        });
+
+        // Without a property after it, the last kept one must not keep its comma
+        const last = node.properties[node.properties.length - 1];
+        const lastKept = kept[kept.length - 1];
+        if (lastKept && properties.has(last)) {
+            const afterKept = text.slice(lastKept.value.end, node.end - 1);
+            const lastHadComma = /^\s*,/.test(text.slice(last.value.end, node.end - 1));
+            const comma = afterKept.match(/^\s*,/);
+            if (comma && !lastHadComma) {
+                const commaOffset = lastKept.value.end + comma[0].length - 1;
+                edits.push({ start: commaOffset, end: commaOffset + 1 });
+            }
+        }
+    }
+
+    let result = text;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + result.slice(edit.end);
+    }
+
+    return { text: result, removed };
+}
+
+module.exports = {
+    parseJsonc,
+    mergeJsonc,
+    removeJsonc
+};
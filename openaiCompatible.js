@@ -0,0 +1,114 @@
+/**
+ * Backend for OpenAI-compatible chat completions servers (Ollama, LM Studio, vLLM, ...),
+ * streamed over server-sent events. Has no VS Code dependency, so it can be tested
+ * against a local server; aiBackend.js re-exports it.
+ */
+
+class OpenAICompatibleBackend {
+    /**
+     * @param {{endpoint: string, model: string, apiKey: string}} settings - endpoint is the API base, e.g. http://localhost:11434/v1
+     */
+    constructor(settings) {
+        this.endpoint = settings.endpoint.replace(/\/+$/, '');
+        this.model = settings.model;
+        this.apiKey = settings.apiKey;
+        this.label = `${this.model || 'OpenAI-compatible'} @ ${this.endpoint}`;
+        this.streams = true;
+    }
+
+    async send(prompt, options = {}) {
+        const url = `${this.endpoint}/chat/completions`;
+        const controller = new AbortController();
+        // The token outlives the request, so drop the listener once the response is read
+        const cancellation = options.token && options.token.onCancellationRequested(() => controller.abort());
+        try {
+            return await this.request(url, prompt, controller.signal, options.onChunk);
+        } finally {
+            if (cancellation) {
+                cancellation.dispose();
+            }
+        }
+    }
+
+    async request(url, prompt, signal, onChunk) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                stream: true,
+                messages: [{ role: 'user', content: prompt }]
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+        }
+
+        // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const chunk = parseStreamLine(line);
+                if (chunk) {
+                    text += chunk;
+                    if (onChunk) {
+                        onChunk(chunk);
+                    }
+                }
+            }
+        }
+
+        const last = parseStreamLine(buffer);
+        if (last) {
+            text += last;
+            if (onChunk) {
+                onChunk(last);
+            }
+        }
+        return text;
+    }
+}
+
+/**
+ * Extract the content delta from one SSE line of a chat completions stream
+ * @param {string} line
+ * @returns {string} Empty for keep-alives, [DONE] and non-content events
+ */
+function parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) {
+        return '';
+    }
+
+    const data = trimmed.slice('data:'.length).trim();
+    if (data === '[DONE]') {
+        return '';
+    }
+
+    try {
+        const choice = JSON.parse(data).choices?.[0];
+        // Servers that ignore stream: true send a single message instead of deltas
+        return choice?.delta?.content || choice?.message?.content || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+module.exports = {
+    OpenAICompatibleBackend,
+    parseStreamLine
+};
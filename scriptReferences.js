@@ -0,0 +1,40 @@
+/**
+ * Rewrites the PowerShell script references in bundled agent/prompt files to the bash scripts,
+ * for hosts that run .specify/scripts/bash. Has no VS Code dependency.
+ */
+
+const FLAGS = {
+    Json: '--json',
+    RequireTasks: '--require-tasks',
+    IncludeTasks: '--include-tasks',
+    PathsOnly: '--paths-only',
+    Number: '--number',
+    ShortName: '--short-name'
+};
+
+// Lines that show the PowerShell invocation next to the bash one, e.g. "- PowerShell example: `...`"
+const POWERSHELL_EXAMPLE_PATTERN = /\bPowerShell example\b/i;
+
+/**
+ * Rewrite inline `.specify/scripts/powershell/*.ps1 -Flag` references to their bash equivalents.
+ * Lines labelled as PowerShell examples keep their reference.
+ * @param {string} content - Markdown content
+ * @returns {string} Content referencing .specify/scripts/bash/*.sh
+ */
+function toBashScriptReferences(content) {
+    return content.split('\n').map(line => (POWERSHELL_EXAMPLE_PATTERN.test(line) ? line : line.replace(
+        /`\.specify\/scripts\/powershell\/([\w-]+)\.ps1([^`]*)`/g,
+        (match, script, args) => {
+            const bashArgs = args
+                // update-agent-context.sh takes the agent type as a positional argument
+                .replace(/\s-AgentType\b/g, '')
+                .replace(/(^|\s)-(Json|RequireTasks|IncludeTasks|PathsOnly|Number|ShortName)\b/g,
+                    (flagMatch, lead, flag) => `${lead}${FLAGS[flag]}`);
+            return `\`.specify/scripts/bash/${script}.sh${bashArgs}\``;
+        }
+    ))).join('\n');
+}
+
+module.exports = {
+    toBashScriptReferences
+};
@@ -0,0 +1,471 @@
+#!/usr/bin/env bash
+
+# Update agent context files with information from plan.md (bash version)
+#
+# Mirrors the behavior of update-agent-context.ps1:
+#  1. Environment Validation
+#  2. Plan Data Extraction
+#  3. Agent File Management (create from template or update existing)
+#  4. Content Generation (technology stack, recent changes, timestamp)
+#  5. Multi-Agent Support (claude, gemini, copilot, cursor-agent, qwen, opencode, codex, windsurf, kilocode, auggie, roo, codebuddy, amp, shai, q)
+#
+# Usage: ./update-agent-context.sh [agent_type]
+#   agent_type  Optional agent key to update a single agent. If omitted, updates all
+#               existing agent files (creating a default Claude file if none exist).
+
+set -e
+set -u
+set -o pipefail
+
+# Import common helpers
+SCRIPT_DIR="$(CDPATH="" cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+source "$SCRIPT_DIR/common.sh"
+
+# Acquire environment paths
+eval $(get_feature_paths)
+
+NEW_PLAN="$IMPL_PLAN"
+AGENT_TYPE="${1:-}"
+
+# Agent file paths
+CLAUDE_FILE="$REPO_ROOT/CLAUDE.md"
+GEMINI_FILE="$REPO_ROOT/GEMINI.md"
+COPILOT_FILE="$REPO_ROOT/.github/agents/copilot-instructions.md"
+CURSOR_FILE="$REPO_ROOT/.cursor/rules/specify-rules.mdc"
+QWEN_FILE="$REPO_ROOT/QWEN.md"
+AGENTS_FILE="$REPO_ROOT/AGENTS.md"
+WINDSURF_FILE="$REPO_ROOT/.windsurf/rules/specify-rules.md"
+KILOCODE_FILE="$REPO_ROOT/.kilocode/rules/specify-rules.md"
+AUGGIE_FILE="$REPO_ROOT/.augment/rules/specify-rules.md"
+ROO_FILE="$REPO_ROOT/.roo/rules/specify-rules.md"
+CODEBUDDY_FILE="$REPO_ROOT/CODEBUDDY.md"
+AMP_FILE="$REPO_ROOT/AGENTS.md"
+SHAI_FILE="$REPO_ROOT/SHAI.md"
+Q_FILE="$REPO_ROOT/AGENTS.md"
+
+TEMPLATE_FILE="$REPO_ROOT/.specify/templates/agent-file-template.md"
+
+# Parsed plan data placeholders
+NEW_LANG=""
+NEW_FRAMEWORK=""
+NEW_DB=""
+NEW_PROJECT_TYPE=""
+
+log_info() {
+    echo "INFO: $1"
+}
+
+log_success() {
+    echo "✓ $1"
+}
+
+log_warning() {
+    echo "WARNING: $1" >&2
+}
+
+log_error() {
+    echo "ERROR: $1" >&2
+}
+
+validate_environment() {
+    if [[ -z "$CURRENT_BRANCH" ]]; then
+        log_error "Unable to determine current feature"
+        if [[ "$HAS_GIT" == "true" ]]; then
+            log_info "Make sure you're on a feature branch"
+        else
+            log_info "Set SPECIFY_FEATURE environment variable or create a feature first"
+        fi
+        exit 1
+    fi
+
+    if [[ ! -f "$NEW_PLAN" ]]; then
+        log_error "No plan.md found at $NEW_PLAN"
+        log_info "Ensure you are working on a feature with a corresponding spec directory"
+        if [[ "$HAS_GIT" != "true" ]]; then
+            log_info "Use: export SPECIFY_FEATURE=your-feature-name or create a new feature first"
+        fi
+        exit 1
+    fi
+
+    if [[ ! -f "$TEMPLATE_FILE" ]]; then
+        log_error "Template file not found at $TEMPLATE_FILE"
+        log_info "Run specify init to scaffold .specify/templates, or add agent-file-template.md there."
+        exit 1
+    fi
+}
+
+extract_plan_field() {
+    local field_pattern="$1"
+    local plan_file="$2"
+
+    # Lines like **Language/Version**: Python 3.12
+    grep "^\*\*${field_pattern}\*\*: " "$plan_file" 2>/dev/null | \
+        head -1 | \
+        sed "s|^\*\*${field_pattern}\*\*: ||" | \
+        sed 's/^[ \t]*//;s/[ \t]*$//' | \
+        grep -v "NEEDS CLARIFICATION" | \
+        grep -v "^N/A$" || echo ""
+}
+
+parse_plan_data() {
+    local plan_file="$1"
+
+    if [[ ! -f "$plan_file" ]]; then
+        log_error "Plan file not found: $plan_file"
+        return 1
+    fi
+
+    log_info "Parsing plan data from $plan_file"
+
+    NEW_LANG=$(extract_plan_field "Language/Version" "$plan_file")
+    NEW_FRAMEWORK=$(extract_plan_field "Primary Dependencies" "$plan_file")
+    NEW_DB=$(extract_plan_field "Storage" "$plan_file")
+    NEW_PROJECT_TYPE=$(extract_plan_field "Project Type" "$plan_file")
+
+    if [[ -n "$NEW_LANG" ]]; then
+        log_info "Found language: $NEW_LANG"
+    else
+        log_warning "No language information found in plan"
+    fi
+    [[ -n "$NEW_FRAMEWORK" ]] && log_info "Found framework: $NEW_FRAMEWORK"
+    [[ -n "$NEW_DB" && "$NEW_DB" != "N/A" ]] && log_info "Found database: $NEW_DB"
+    [[ -n "$NEW_PROJECT_TYPE" ]] && log_info "Found project type: $NEW_PROJECT_TYPE"
+    return 0
+}
+
+format_technology_stack() {
+    local lang="$1"
+    local framework="$2"
+    local parts=()
+
+    [[ -n "$lang" && "$lang" != "NEEDS CLARIFICATION" ]] && parts+=("$lang")
+    [[ -n "$framework" && "$framework" != "NEEDS CLARIFICATION" && "$framework" != "N/A" ]] && parts+=("$framework")
+
+    if [[ ${#parts[@]} -eq 0 ]]; then
+        echo ""
+    elif [[ ${#parts[@]} -eq 1 ]]; then
+        echo "${parts[0]}"
+    else
+        echo "${parts[0]} + ${parts[1]}"
+    fi
+}
+
+get_project_structure() {
+    if [[ "$1" == *"web"* ]]; then
+        printf 'backend/\nfrontend/\ntests/'
+    else
+        printf 'src/\ntests/'
+    fi
+}
+
+get_commands_for_language() {
+    case "$1" in
+        *"Python"*)
+            echo "cd src && pytest && ruff check ."
+            ;;
+        *"Rust"*)
+            echo "cargo test && cargo clippy"
+            ;;
+        *"JavaScript"*|*"TypeScript"*)
+            echo "npm test && npm run lint"
+            ;;
+        *)
+            echo "# Add commands for $1"
+            ;;
+    esac
+}
+
+get_language_conventions() {
+    if [[ -n "$1" ]]; then
+        echo "$1: Follow standard conventions"
+    else
+        echo "General: Follow standard conventions"
+    fi
+}
+
+# Replace a literal [PLACEHOLDER] line in the file with (possibly multi-line) text
+replace_placeholder() {
+    local file="$1"
+    local placeholder="$2"
+    local value="$3"
+    local temp_file
+
+    temp_file=$(mktemp)
+    PLACEHOLDER="$placeholder" VALUE="$value" awk '
+        BEGIN { placeholder = ENVIRON["PLACEHOLDER"]; value = ENVIRON["VALUE"] }
+        {
+            idx = index($0, placeholder)
+            if (idx > 0) {
+                print substr($0, 1, idx - 1) value substr($0, idx + length(placeholder))
+            } else {
+                print
+            }
+        }
+    ' "$file" > "$temp_file"
+    mv "$temp_file" "$file"
+}
+
+create_new_agent_file() {
+    local target_file="$1"
+    local project_name="$2"
+    local current_date="$3"
+    local temp_file
+
+    if [[ ! -f "$TEMPLATE_FILE" ]]; then
+        log_error "Template not found at $TEMPLATE_FILE"
+        return 1
+    fi
+
+    temp_file=$(mktemp)
+    cp "$TEMPLATE_FILE" "$temp_file"
+
+    local tech_stack=""
+    if [[ -n "$NEW_LANG" && -n "$NEW_FRAMEWORK" ]]; then
+        tech_stack="- $NEW_LANG + $NEW_FRAMEWORK ($CURRENT_BRANCH)"
+    elif [[ -n "$NEW_LANG" ]]; then
+        tech_stack="- $NEW_LANG ($CURRENT_BRANCH)"
+    elif [[ -n "$NEW_FRAMEWORK" ]]; then
+        tech_stack="- $NEW_FRAMEWORK ($CURRENT_BRANCH)"
+    fi
+
+    local recent_change=""
+    if [[ -n "$NEW_LANG" && -n "$NEW_FRAMEWORK" ]]; then
+        recent_change="- $CURRENT_BRANCH: Added $NEW_LANG + $NEW_FRAMEWORK"
+    elif [[ -n "$NEW_LANG" ]]; then
+        recent_change="- $CURRENT_BRANCH: Added $NEW_LANG"
+    elif [[ -n "$NEW_FRAMEWORK" ]]; then
+        recent_change="- $CURRENT_BRANCH: Added $NEW_FRAMEWORK"
+    fi
+
+    replace_placeholder "$temp_file" "[PROJECT NAME]" "$project_name"
+    replace_placeholder "$temp_file" "[DATE]" "$current_date"
+    replace_placeholder "$temp_file" "[EXTRACTED FROM ALL PLAN.MD FILES]" "$tech_stack"
+    replace_placeholder "$temp_file" "[ACTUAL STRUCTURE FROM PLANS]" "$(get_project_structure "$NEW_PROJECT_TYPE")"
+    replace_placeholder "$temp_file" "[ONLY COMMANDS FOR ACTIVE TECHNOLOGIES]" "$(get_commands_for_language "$NEW_LANG")"
+    replace_placeholder "$temp_file" "[LANGUAGE-SPECIFIC, ONLY FOR LANGUAGES IN USE]" "$(get_language_conventions "$NEW_LANG")"
+    replace_placeholder "$temp_file" "[LAST 3 FEATURES AND WHAT THEY ADDED]" "$recent_change"
+
+    mkdir -p "$(dirname "$target_file")"
+    mv "$temp_file" "$target_file"
+    return 0
+}
+
+update_existing_agent_file() {
+    local target_file="$1"
+    local current_date="$2"
+
+    local tech_stack=$(format_technology_stack "$NEW_LANG" "$NEW_FRAMEWORK")
+    local new_tech_entries=()
+
+    if [[ -n "$tech_stack" ]] && ! grep -qF "$tech_stack" "$target_file"; then
+        new_tech_entries+=("- $tech_stack ($CURRENT_BRANCH)")
+    fi
+
+    if [[ -n "$NEW_DB" && "$NEW_DB" != "N/A" && "$NEW_DB" != "NEEDS CLARIFICATION" ]] && ! grep -qF "$NEW_DB" "$target_file"; then
+        new_tech_entries+=("- $NEW_DB ($CURRENT_BRANCH)")
+    fi
+
+    local new_change_entry=""
+    if [[ -n "$tech_stack" ]]; then
+        new_change_entry="- $CURRENT_BRANCH: Added $tech_stack"
+    elif [[ -n "$NEW_DB" && "$NEW_DB" != "N/A" && "$NEW_DB" != "NEEDS CLARIFICATION" ]]; then
+        new_change_entry="- $CURRENT_BRANCH: Added $NEW_DB"
+    fi
+
+    local temp_file
+    temp_file=$(mktemp)
+
+    local in_tech=false
+    local in_changes=false
+    local tech_added=false
+    local existing_changes=0
+
+    while IFS= read -r line || [[ -n "$line" ]]; do
+        if [[ "$line" == "## Active Technologies" ]]; then
+            echo "$line" >> "$temp_file"
+            in_tech=true
+            continue
+        fi
+        if $in_tech && [[ "$line" =~ ^##[[:space:]] ]]; then
+            if ! $tech_added && [[ ${#new_tech_entries[@]} -gt 0 ]]; then
+                printf '%s\n' "${new_tech_entries[@]}" >> "$temp_file"
+                tech_added=true
+            fi
+            echo "$line" >> "$temp_file"
+            in_tech=false
+            continue
+        fi
+        if $in_tech && [[ -z "${line// }" ]]; then
+            if ! $tech_added && [[ ${#new_tech_entries[@]} -gt 0 ]]; then
+                printf '%s\n' "${new_tech_entries[@]}" >> "$temp_file"
+                tech_added=true
+            fi
+            echo "$line" >> "$temp_file"
+            continue
+        fi
+        if [[ "$line" == "## Recent Changes" ]]; then
+            echo "$line" >> "$temp_file"
+            if [[ -n "$new_change_entry" ]]; then
+                echo "$new_change_entry" >> "$temp_file"
+            fi
+            in_changes=true
+            continue
+        fi
+        if $in_changes && [[ "$line" =~ ^##[[:space:]] ]]; then
+            echo "$line" >> "$temp_file"
+            in_changes=false
+            continue
+        fi
+        if $in_changes && [[ "$line" == "- "* ]]; then
+            if [[ $existing_changes -lt 2 ]]; then
+                echo "$line" >> "$temp_file"
+                existing_changes=$((existing_changes + 1))
+            fi
+            continue
+        fi
+        if [[ "$line" =~ \*\*Last\ updated\*\*:.*[0-9]{4}-[0-9]{2}-[0-9]{2} ]]; then
+            echo "$line" | sed "s/[0-9]\{4\}-[0-9]\{2\}-[0-9]\{2\}/$current_date/" >> "$temp_file"
+            continue
+        fi
+        echo "$line" >> "$temp_file"
+    done < "$target_file"
+
+    # Post-loop check: if we're still in the Active Technologies section and haven't added new entries
+    if $in_tech && ! $tech_added && [[ ${#new_tech_entries[@]} -gt 0 ]]; then
+        printf '%s\n' "${new_tech_entries[@]}" >> "$temp_file"
+    fi
+
+    mv "$temp_file" "$target_file"
+    return 0
+}
+
+update_agent_file() {
+    local target_file="$1"
+    local agent_name="$2"
+
+    if [[ -z "$target_file" || -z "$agent_name" ]]; then
+        log_error "update_agent_file requires target_file and agent_name"
+        return 1
+    fi
+
+    log_info "Updating $agent_name context file: $target_file"
+
+    local project_name=$(basename "$REPO_ROOT")
+    local current_date=$(date +%Y-%m-%d)
+
+    mkdir -p "$(dirname "$target_file")"
+
+    if [[ ! -f "$target_file" ]]; then
+        if create_new_agent_file "$target_file" "$project_name" "$current_date"; then
+            log_success "Created new $agent_name context file"
+        else
+            log_error "Failed to create new agent file"
+            return 1
+        fi
+    else
+        if [[ ! -r "$target_file" || ! -w "$target_file" ]]; then
+            log_error "Cannot access or update existing file: $target_file"
+            return 1
+        fi
+        if update_existing_agent_file "$target_file" "$current_date"; then
+            log_success "Updated existing $agent_name context file"
+        else
+            log_error "Failed to update agent file"
+            return 1
+        fi
+    fi
+
+    return 0
+}
+
+update_specific_agent() {
+    case "$1" in
+        claude)       update_agent_file "$CLAUDE_FILE" "Claude Code" ;;
+        gemini)       update_agent_file "$GEMINI_FILE" "Gemini CLI" ;;
+        copilot)      update_agent_file "$COPILOT_FILE" "GitHub Copilot" ;;
+        cursor-agent) update_agent_file "$CURSOR_FILE" "Cursor IDE" ;;
+        qwen)         update_agent_file "$QWEN_FILE" "Qwen Code" ;;
+        opencode)     update_agent_file "$AGENTS_FILE" "opencode" ;;
+        codex)        update_agent_file "$AGENTS_FILE" "Codex CLI" ;;
+        windsurf)     update_agent_file "$WINDSURF_FILE" "Windsurf" ;;
+        kilocode)     update_agent_file "$KILOCODE_FILE" "Kilo Code" ;;
+        auggie)       update_agent_file "$AUGGIE_FILE" "Auggie CLI" ;;
+        roo)          update_agent_file "$ROO_FILE" "Roo Code" ;;
+        codebuddy)    update_agent_file "$CODEBUDDY_FILE" "CodeBuddy CLI" ;;
+        amp)          update_agent_file "$AMP_FILE" "Amp" ;;
+        shai)         update_agent_file "$SHAI_FILE" "SHAI" ;;
+        q)            update_agent_file "$Q_FILE" "Amazon Q Developer CLI" ;;
+        *)
+            log_error "Unknown agent type '$1'"
+            log_error "Expected: claude|gemini|copilot|cursor-agent|qwen|opencode|codex|windsurf|kilocode|auggie|roo|codebuddy|amp|shai|q"
+            return 1
+            ;;
+    esac
+}
+
+update_all_existing_agents() {
+    local found=false
+    local ok=true
+
+    if [[ -f "$CLAUDE_FILE" ]]; then update_agent_file "$CLAUDE_FILE" "Claude Code" || ok=false; found=true; fi
+    if [[ -f "$GEMINI_FILE" ]]; then update_agent_file "$GEMINI_FILE" "Gemini CLI" || ok=false; found=true; fi
+    if [[ -f "$COPILOT_FILE" ]]; then update_agent_file "$COPILOT_FILE" "GitHub Copilot" || ok=false; found=true; fi
+    if [[ -f "$CURSOR_FILE" ]]; then update_agent_file "$CURSOR_FILE" "Cursor IDE" || ok=false; found=true; fi
+    if [[ -f "$QWEN_FILE" ]]; then update_agent_file "$QWEN_FILE" "Qwen Code" || ok=false; found=true; fi
+    if [[ -f "$AGENTS_FILE" ]]; then update_agent_file "$AGENTS_FILE" "Codex/opencode" || ok=false; found=true; fi
+    if [[ -f "$WINDSURF_FILE" ]]; then update_agent_file "$WINDSURF_FILE" "Windsurf" || ok=false; found=true; fi
+    if [[ -f "$KILOCODE_FILE" ]]; then update_agent_file "$KILOCODE_FILE" "Kilo Code" || ok=false; found=true; fi
+    if [[ -f "$AUGGIE_FILE" ]]; then update_agent_file "$AUGGIE_FILE" "Auggie CLI" || ok=false; found=true; fi
+    if [[ -f "$ROO_FILE" ]]; then update_agent_file "$ROO_FILE" "Roo Code" || ok=false; found=true; fi
+    if [[ -f "$CODEBUDDY_FILE" ]]; then update_agent_file "$CODEBUDDY_FILE" "CodeBuddy CLI" || ok=false; found=true; fi
+    if [[ -f "$SHAI_FILE" ]]; then update_agent_file "$SHAI_FILE" "SHAI" || ok=false; found=true; fi
+    if [[ -f "$Q_FILE" ]]; then update_agent_file "$Q_FILE" "Amazon Q Developer CLI" || ok=false; found=true; fi
+
+    if ! $found; then
+        log_info "No existing agent files found, creating default Claude file..."
+        update_agent_file "$CLAUDE_FILE" "Claude Code" || ok=false
+    fi
+
+    $ok
+}
+
+print_summary() {
+    echo
+    log_info "Summary of changes:"
+    [[ -n "$NEW_LANG" ]] && echo "  - Added language: $NEW_LANG"
+    [[ -n "$NEW_FRAMEWORK" ]] && echo "  - Added framework: $NEW_FRAMEWORK"
+    [[ -n "$NEW_DB" && "$NEW_DB" != "N/A" ]] && echo "  - Added database: $NEW_DB"
+    echo
+    log_info "Usage: $0 [claude|gemini|copilot|cursor-agent|qwen|opencode|codex|windsurf|kilocode|auggie|roo|codebuddy|amp|shai|q]"
+}
+
+main() {
+    validate_environment
+    log_info "=== Updating agent context files for feature $CURRENT_BRANCH ==="
+
+    if ! parse_plan_data "$NEW_PLAN"; then
+        log_error "Failed to parse plan data"
+        exit 1
+    fi
+
+    local success=true
+    if [[ -n "$AGENT_TYPE" ]]; then
+        log_info "Updating specific agent: $AGENT_TYPE"
+        update_specific_agent "$AGENT_TYPE" || success=false
+    else
+        log_info "No agent specified, updating all existing agent files..."
+        update_all_existing_agents || success=false
+    fi
+
+    print_summary
+
+    if $success; then
+        log_success "Agent context update completed successfully"
+        exit 0
+    else
+        log_error "Agent context update completed with errors"
+        exit 1
+    fi
+}
+
+main
@@ -0,0 +1,331 @@
+/**
+ * Tracks which bundled Spec-Kit files (setup/.github, setup/.specify) were installed into a
+ * workspace so that re-initializing can tell local edits from upstream changes.
+ *
+ * .specify/.traycer-manifest.json  - sha256 of every file as last installed, plus the
+ *                                   .vscode/settings.json keys Initialize added
+ * .specify/.traycer-base/<path>    - copy of that content, the base for 3-way merges
+ * .specify/.traycer-version        - extension version the files came from
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const MANIFEST_FILE = path.join('.specify', '.traycer-manifest.json');
+const BASE_DIR = path.join('.specify', '.traycer-base');
+const VERSION_FILE = path.join('.specify', '.traycer-version');
+
+// Directories of setup/ that are tracked file by file (.vscode/settings.json is merged instead).
+// Profile sources may be whole repositories, so anything else in them (workflows, the install
+// record of .specify) is left out.
+const TRACKED_DIRECTORIES = ['.github/agents', '.github/prompts', '.specify/templates', '.specify/scripts', '.specify/memory'];
+
+/**
+ * @typedef {Object} SetupFile
+ * @property {string} relPath - Workspace-relative path with forward slashes, e.g. '.specify/templates/spec-template.md'
+ * @property {'unchanged'|'new'|'upstream-changed'|'locally-modified'|'both-modified'} status
+ * @property {Buffer} upstream - Content the extension would install now
+ * @property {Buffer|null} local - Current workspace content, null when missing
+ * @property {Buffer|null} base - Content installed last time, null when unknown
+ * @property {boolean} installed - The manifest lists the file (it was installed before)
+ * @property {boolean} upstreamChanged - The bundled content differs from what was installed last time
+ */
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the bundled files as bytes, so scripts and binary files are copied unchanged
+ * @param {string[]} setupPaths - The extension's setup/ directory followed by profile sources
+ *   laid out the same way; a file in a later directory replaces the same path from earlier ones
+ * @param {(relPath: string, content: Buffer) => Buffer|string} [render] - Adjust content before install (e.g. script flavour)
+ * @returns {{relPath: string, content: Buffer}[]}
+ */
+function collectBundledFiles(setupPaths, render = (relPath, content) => content) {
+    const files = new Map();
+
+    const walk = (setupPath, dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(setupPath, entryPath);
+            } else {
+                const relPath = path.relative(setupPath, entryPath).split(path.sep).join('/');
+                files.set(relPath, fs.readFileSync(entryPath));
+            }
+        }
+    };
+
+    for (const setupPath of setupPaths) {
+        for (const dir of TRACKED_DIRECTORIES) {
+            const dirPath = path.join(setupPath, ...dir.split('/'));
+            if (fs.existsSync(dirPath)) {
+                walk(setupPath, dirPath);
+            }
+        }
+    }
+
+    return [...files].map(([relPath, content]) => ({ relPath, content: Buffer.from(render(relPath, content)) }));
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {{files: Object<string, string>, profile?: string|null, settings?: string[][]}} files maps
+ *   relPath -> sha256 of the installed content; profile names the setup profile used (null or missing
+ *   for the built-in bundle); settings lists the key paths added to .vscode/settings.json
+ */
+function readManifest(workspacePath) {
+    const manifestPath = path.join(workspacePath, MANIFEST_FILE);
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (err) {
+        return { files: {} };
+    }
+}
+
+function writeManifest(workspacePath, manifest) {
+    fs.writeFileSync(path.join(workspacePath, MANIFEST_FILE), JSON.stringify(manifest, null, 4));
+}
+
+function readBase(workspacePath, relPath, manifest) {
+    const basePath = path.join(workspacePath, BASE_DIR, relPath);
+    if (!manifest.files[relPath] || !fs.existsSync(basePath)) {
+        return null;
+    }
+    const content = fs.readFileSync(basePath);
+    // A base that no longer matches the manifest cannot be trusted for merging
+    return hashContent(content) === manifest.files[relPath] ? content : null;
+}
+
+/**
+ * Classify every bundled file against the workspace copy and the manifest
+ * @param {string} workspacePath
+ * @param {{relPath: string, content: Buffer}[]} bundledFiles
+ * @returns {SetupFile[]}
+ */
+function planSetupSync(workspacePath, bundledFiles) {
+    const manifest = readManifest(workspacePath);
+
+    return bundledFiles.map(({ relPath, content }) => {
+        const localPath = path.join(workspacePath, relPath);
+        const local = fs.existsSync(localPath) ? fs.readFileSync(localPath) : null;
+        const base = readBase(workspacePath, relPath, manifest);
+        const baseHash = manifest.files[relPath];
+
+        let status;
+        if (local === null) {
+            status = 'new';
+        } else if (local.equals(content)) {
+            status = 'unchanged';
+        } else if (baseHash && hashContent(local) === baseHash) {
+            status = 'upstream-changed';
+        } else if (baseHash && hashContent(content) === baseHash) {
+            status = 'locally-modified';
+        } else {
+            // Both sides differ from what was installed, or the file predates the manifest
+            status = 'both-modified';
+        }
+
+        // Without a manifest entry the workspace copy is the best guess of what was installed
+        const upstreamChanged = baseHash ? hashContent(content) !== baseHash : !content.equals(local);
+
+        return { relPath, status, upstream: content, local, base, installed: Boolean(baseHash), upstreamChanged };
+    });
+}
+
+/**
+ * @param {string} workspacePath
+ * @returns {string|null} Extension version of the installed files, null for workspaces set up before stamping
+ */
+function readInstalledVersion(workspacePath) {
+    const versionPath = path.join(workspacePath, VERSION_FILE);
+    return fs.existsSync(versionPath) ? fs.readFileSync(versionPath, 'utf8').trim() : null;
+}
+
+/**
+ * @param {string} workspacePath
+ * @param {string} version - Extension version
+ */
+function writeInstalledVersion(workspacePath, version) {
+    fs.writeFileSync(path.join(workspacePath, VERSION_FILE), `${version}\n`);
+}
+
+/**
+ * What to do with a file when the user does not decide
+ * @param {SetupFile} file
+ * @returns {'keep'|'overwrite'|'merge'}
+ */
+function getRecommendedAction(file) {
+    if (file.status === 'new') {
+        // An installed file that is missing now was deleted on purpose
+        return file.installed ? 'keep' : 'overwrite';
+    } else if (file.status === 'upstream-changed') {
+        return 'overwrite';
+    } else if (file.status === 'both-modified' && file.base !== null) {
+        return 'merge';
+    }
+    return 'keep';
+}
+
+/**
+ * Merge upstream changes into a locally edited file with `git merge-file`.
+ * Without git (or without a base) the whole file becomes one conflict.
+ * @param {SetupFile} file
+ * @returns {{content: string, conflicts: number}}
+ */
+function mergeSetupFile(file) {
+    if (file.base !== null) {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-merge-'));
+        try {
+            const localPath = path.join(tempDir, 'local');
+            const basePath = path.join(tempDir, 'base');
+            const upstreamPath = path.join(tempDir, 'upstream');
+            fs.writeFileSync(localPath, file.local);
+            fs.writeFileSync(basePath, file.base);
+            fs.writeFileSync(upstreamPath, file.upstream);
+
+            const result = spawnSync('git', [
+                'merge-file', '-p',
+                '-L', 'local', '-L', 'base', '-L', 'upstream',
+                localPath, basePath, upstreamPath
+            ], { encoding: 'utf8', timeout: 10000 });
+
+            // Exit status is the number of conflicts; negative or >127 means git failed
+            if (!result.error && result.status !== null && result.status >= 0 && result.status < 128) {
+                return { content: result.stdout, conflicts: result.status };
+            }
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    const withNewline = bytes => {
+        const text = bytes.toString('utf8');
+        return text.endsWith('\n') ? text : `${text}\n`;
+    };
+    return {
+        content: `<<<<<<< local\n${withNewline(file.local)}=======\n${withNewline(file.upstream)}>>>>>>> upstream\n`,
+        conflicts: 1
+    };
+}
+
+/**
+ * Write the chosen actions and record the new upstream content as the base of every file
+ * @param {string} workspacePath
+ * @param {SetupFile[]} plan
+ * @param {Map<string, 'keep'|'overwrite'|'merge'>} choices - relPath -> action for changed files
+ * @param {string|null} [profile] - Setup profile the files came from, null for the built-in bundle
+ * @returns {{written: string[], merged: string[], conflicted: string[], kept: string[]}}
+ */
+function applySetupSync(workspacePath, plan, choices, profile = null) {
+    const result = { written: [], merged: [], conflicted: [], kept: [] };
+    const manifest = readManifest(workspacePath);
+    manifest.profile = profile;
+
+    for (const file of plan) {
+        const localPath = path.join(workspacePath, file.relPath);
+        let action = file.status === 'unchanged' ? 'keep' : choices.get(file.relPath) || 'keep';
+        if (action === 'merge' && file.local === null) {
+            action = 'overwrite';
+        }
+
+        if (action === 'overwrite') {
+            fs.mkdirSync(path.dirname(localPath), { recursive: true });
+            fs.writeFileSync(localPath, file.upstream);
+            result.written.push(file.relPath);
+        } else if (action === 'merge') {
+            const merged = mergeSetupFile(file);
+            fs.writeFileSync(localPath, merged.content);
+            (merged.conflicts > 0 ? result.conflicted : result.merged).push(file.relPath);
+        } else if (file.status !== 'unchanged') {
+            result.kept.push(file.relPath);
+        }
+
+        const basePath = path.join(workspacePath, BASE_DIR, file.relPath);
+        fs.mkdirSync(path.dirname(basePath), { recursive: true });
+        fs.writeFileSync(basePath, file.upstream);
+        manifest.files[file.relPath] = hashContent(file.upstream);
+    }
+
+    writeManifest(workspacePath, manifest);
+    return result;
+}
+
+/**
+ * Remember settings keys that Initialize added, so removing Spec-Kit reverts only those.
+ * Keys that already existed (and were changed) are never recorded.
+ * @param {string} workspacePath
+ * @param {string[][]} keyPaths - e.g. [['chat.promptFilesRecommendations', 'speckit.plan']]
+ */
+function recordAddedSettings(workspacePath, keyPaths) {
+    const manifest = readManifest(workspacePath);
+    const settings = manifest.settings || [];
+    const known = new Set(settings.map(keyPath => JSON.stringify(keyPath)));
+
+    for (const keyPath of keyPaths) {
+        if (!known.has(JSON.stringify(keyPath))) {
+            settings.push(keyPath);
+            known.add(JSON.stringify(keyPath));
+        }
+    }
+
+    manifest.settings = settings;
+    writeManifest(workspacePath, manifest);
+}
+
+/**
+ * Installed files that are still in the workspace
+ * @param {string} workspacePath
+ * @returns {{relPath: string, modified: boolean}[]} modified when the content changed since it was installed
+ */
+function listInstalledFiles(workspacePath) {
+    const manifest = readManifest(workspacePath);
+
+    return Object.entries(manifest.files)
+        .filter(([relPath]) => fs.existsSync(path.join(workspacePath, relPath)))
+        .map(([relPath, hash]) => ({
+            relPath,
+            modified: hashContent(fs.readFileSync(path.join(workspacePath, relPath))) !== hash
+        }));
+}
+
+/**
+ * Delete files and the directories they leave empty, then the install record itself
+ * (manifest, base copies and version stamp)
+ * @param {string} workspacePath
+ * @param {string[]} relPaths - Workspace-relative files or directories
+ */
+function removeSetupFiles(workspacePath, relPaths) {
+    const record = [MANIFEST_FILE, BASE_DIR, VERSION_FILE].map(relPath => relPath.split(path.sep).join('/'));
+
+    for (const relPath of [...relPaths, ...record]) {
+        fs.rmSync(path.join(workspacePath, relPath), { recursive: true, force: true });
+
+        // Prune parents up to (not including) the workspace folder
+        let dir = path.dirname(path.join(workspacePath, relPath));
+        while (dir.startsWith(workspacePath + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    }
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    BASE_DIR,
+    VERSION_FILE,
+    collectBundledFiles,
+    readManifest,
+    recordAddedSettings,
+    listInstalledFiles,
+    removeSetupFiles,
+    readInstalledVersion,
+    writeInstalledVersion,
+    planSetupSync,
+    getRecommendedAction,
+    mergeSetupFile,
+    applySetupSync
+};
@@ -0,0 +1,275 @@
+/**
+ * Gathers the parts of a feature directory that matter for one task (see tasksParser.js):
+ * its user story from spec.md, plan.md sections, data-model.md entities, contracts/ and the
+ * state of its prerequisites, trimmed to a token budget for AI prompts.
+ * Has no VS Code dependency.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Rough estimate that is good enough for budgeting prompt context
+const CHARS_PER_TOKEN = 4;
+
+// Sections shorter than this are dropped rather than cut down to a stub
+const MIN_TRUNCATED_CHARS = 200;
+
+const STOP_WORDS = new Set([
+    'that', 'this', 'with', 'from', 'into', 'when', 'then', 'than', 'each', 'should', 'must', 'will',
+    'have', 'make', 'sure', 'task', 'tasks', 'create', 'update', 'implement', 'add', 'file', 'files',
+    'test', 'tests', 'using', 'used', 'user', 'story', 'based', 'also', 'only', 'data', 'model'
+]);
+
+/**
+ * @typedef {Object} ContextSection
+ * @property {string} title - e.g. 'User Story 1 - Login (Priority: P1)'
+ * @property {string} source - Feature-relative file, e.g. 'spec.md'
+ * @property {string} content
+ */
+
+/**
+ * Split markdown into heading sections; headings inside code fences are ignored
+ * @param {string} content
+ * @returns {{heading: string, level: number, text: string}[]} text runs until the next heading
+ *   of the same or a higher level and includes the heading line
+ */
+function splitSections(content) {
+    const lines = content.split(/\r?\n/);
+    const headings = [];
+    let inFence = false;
+
+    lines.forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) {
+            headings.push({ heading: match[2], level: match[1].length, line: index });
+        }
+    });
+
+    return headings.map((heading, i) => {
+        const next = headings.slice(i + 1).find(other => other.level <= heading.level);
+        const end = next ? next.line : lines.length;
+        return { heading: heading.heading, level: heading.level, text: lines.slice(heading.line, end).join('\n').trim() };
+    });
+}
+
+/**
+ * Words that identify what a task is about: significant words of its text plus the
+ * base names of the files it mentions
+ * @param {object} task - Task from tasksParser.parseTasks
+ * @returns {Set<string>}
+ */
+function getKeywords(task) {
+    const keywords = new Set();
+    const text = [task.description, ...task.notes].join(' ').toLowerCase();
+
+    for (const word of text.split(/[^a-z0-9_]+/)) {
+        if (word.length >= 4 && !STOP_WORDS.has(word) && !/^t\d+$/.test(word)) {
+            keywords.add(word);
+        }
+    }
+    for (const file of task.files) {
+        const base = path.basename(file).replace(/\.[^.]+$/, '').toLowerCase();
+        if (base.length >= 3) {
+            keywords.add(base);
+        }
+    }
+    return keywords;
+}
+
+function scoreText(text, keywords) {
+    const lower = text.toLowerCase();
+    let score = 0;
+    for (const keyword of keywords) {
+        if (lower.includes(keyword)) {
+            score++;
+        }
+    }
+    return score;
+}
+
+function readIfExists(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Number of the user story a task belongs to: its [USn] tag, else its phase title
+ * @returns {number|null}
+ */
+function getStoryNumber(doc, task) {
+    const tag = task.story && task.story.match(/^US(\d+)$/);
+    if (tag) {
+        return parseInt(tag[1], 10);
+    }
+    const phase = doc.phases[task.phaseIndex];
+    const fromPhase = phase && phase.title.match(/User Story\s+(\d+)/i);
+    return fromPhase ? parseInt(fromPhase[1], 10) : null;
+}
+
+/**
+ * Tasks that have to be done first: options.prerequisites when the caller ordered the tasks
+ * (e.g. with taskGraph.js), else the task's depends-on notes
+ */
+function getDependencySection(doc, task, options) {
+    const prerequisites = options.prerequisites || task.dependsOn
+        .map(id => doc.tasks.find(other => other.id === id))
+        .filter(Boolean)
+        .map(dependency => ({ task: dependency, reason: 'depends on' }));
+
+    const lines = prerequisites.map(({ task: dependency, reason }) =>
+        `- [${dependency.completed ? 'x' : ' '}] ${dependency.id} ${dependency.description} (${reason})` +
+        (dependency.completed ? '' : ' - NOT COMPLETED YET'));
+    for (const id of task.dependsOn.filter(candidate => !doc.tasks.some(other => other.id === candidate))) {
+        lines.push(`- ${id} (not found in tasks.md)`);
+    }
+    if (options.openPhases) {
+        lines.push(`- Earlier phases still open: ${options.openPhases} - NOT COMPLETED YET`);
+    }
+
+    return lines.length > 0 ? { title: 'Dependencies', source: 'tasks.md', content: lines.join('\n') } : null;
+}
+
+function getFilesSection(task, workspacePath) {
+    if (task.files.length === 0) {
+        return null;
+    }
+
+    const lines = task.files.map(file => {
+        if (!workspacePath) {
+            return `- ${file}`;
+        }
+        return `- ${file} (${fs.existsSync(path.join(workspacePath, file)) ? 'exists' : 'to be created'})`;
+    });
+    return { title: 'Files mentioned in the task', source: 'tasks.md', content: lines.join('\n') };
+}
+
+function getStorySection(featurePath, doc, task) {
+    const spec = readIfExists(path.join(featurePath, 'spec.md'));
+    const number = getStoryNumber(doc, task);
+    if (!spec || number === null) {
+        return null;
+    }
+
+    const story = splitSections(spec).find(section => {
+        const match = section.heading.match(/^User Story\s+(\d+)\b/i);
+        return match && parseInt(match[1], 10) === number;
+    });
+    return story ? { title: story.heading, source: 'spec.md', content: story.text } : null;
+}
+
+function getPlanSections(featurePath, keywords) {
+    const plan = readIfExists(path.join(featurePath, 'plan.md'));
+    if (!plan) {
+        return [];
+    }
+
+    // The tech stack always matters; other top sections only when they mention the task's subject
+    return splitSections(plan)
+        .filter(section => section.level === 2)
+        .filter(section => /technical context/i.test(section.heading) || scoreText(section.text, keywords) > 0)
+        .map(section => ({ title: section.heading, source: 'plan.md', content: section.text }));
+}
+
+function getDataModelSections(featurePath, keywords) {
+    const dataModel = readIfExists(path.join(featurePath, 'data-model.md'));
+    if (!dataModel) {
+        return [];
+    }
+
+    // Entities are usually ### sections; fall back to ## for flatter documents
+    const sections = splitSections(dataModel);
+    const level = sections.some(section => section.level === 3) ? 3 : 2;
+    return sections
+        .filter(section => section.level === level && scoreText(section.text, keywords) > 0)
+        .map(section => ({ title: section.heading, source: 'data-model.md', content: section.text }));
+}
+
+function getContractSections(featurePath, keywords) {
+    const contractsPath = path.join(featurePath, 'contracts');
+    if (!fs.existsSync(contractsPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(contractsPath, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => ({ name: entry.name, content: fs.readFileSync(path.join(contractsPath, entry.name), 'utf8') }))
+        .map(contract => ({ ...contract, score: scoreText(`${contract.name}\n${contract.content}`, keywords) }))
+        .filter(contract => contract.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(contract => ({
+            title: contract.name,
+            source: `contracts/${contract.name}`,
+            // Schemas (OpenAPI YAML/JSON, GraphQL, ...) go in a code fence; markdown contracts as they are
+            content: /\.md$/i.test(contract.name)
+                ? contract.content.trim()
+                : `\`\`\`${path.extname(contract.name).slice(1)}\n${contract.content.trim()}\n\`\`\``
+        }));
+}
+
+/**
+ * Collect context for a task, most important first, within a token budget
+ * @param {string} featurePath - specs/<feature> directory
+ * @param {object} doc - TasksDocument from tasksParser.parseTasks
+ * @param {object} task - Task of doc
+ * @param {{maxTokens?: number, workspacePath?: string, prerequisites?: {task: object, reason: string}[], openPhases?: string}} [options]
+ *   workspacePath resolves task file paths; prerequisites lists the tasks to be done first with why
+ *   (e.g. 'depends on') and openPhases summarizes open tasks of earlier phases
+ * @returns {{sections: ContextSection[], omitted: string[], truncated: boolean}} omitted lists
+ *   'source: title' of sections that did not fit
+ */
+function buildTaskContext(featurePath, doc, task, options = {}) {
+    const keywords = getKeywords(task);
+    const candidates = [
+        getDependencySection(doc, task, options),
+        getFilesSection(task, options.workspacePath),
+        getStorySection(featurePath, doc, task),
+        ...getPlanSections(featurePath, keywords),
+        ...getDataModelSections(featurePath, keywords),
+        ...getContractSections(featurePath, keywords)
+    ].filter(Boolean);
+
+    let remaining = (options.maxTokens === undefined ? 4000 : options.maxTokens) * CHARS_PER_TOKEN;
+    const context = { sections: [], omitted: [], truncated: false };
+
+    // Candidates are in priority order, so once one does not fit the rest is left out too
+    for (const section of candidates) {
+        if (context.truncated || context.omitted.length > 0) {
+            context.omitted.push(`${section.source}: ${section.title}`);
+        } else if (section.content.length <= remaining) {
+            context.sections.push(section);
+            remaining -= section.content.length;
+        } else if (remaining >= MIN_TRUNCATED_CHARS) {
+            context.sections.push({ ...section, content: `${section.content.slice(0, remaining).trimEnd()}\n… (truncated)` });
+            context.truncated = true;
+        } else {
+            context.omitted.push(`${section.source}: ${section.title}`);
+        }
+    }
+
+    return context;
+}
+
+/**
+ * @param {{sections: ContextSection[], omitted: string[]}} context - From buildTaskContext
+ * @param {string} featureDir - Shown in section sources, e.g. 'specs/001-photo-albums'
+ * @returns {string} Markdown, empty when there is no context
+ */
+function formatTaskContext(context, featureDir) {
+    // Section content starts with its own heading, except for the generated lists
+    const parts = context.sections.map(section => (section.source === 'tasks.md'
+        ? `${section.title}:\n${section.content}`
+        : `From ${featureDir}/${section.source}:\n\n${section.content}`));
+    if (context.omitted.length > 0) {
+        parts.push(`Left out to stay within the context budget (read them if needed): ${context.omitted.join(', ')}`);
+    }
+    return parts.join('\n\n');
+}
+
+module.exports = {
+    CHARS_PER_TOKEN,
+    splitSections,
+    buildTaskContext,
+    formatTaskContext
+};
@@ -0,0 +1,285 @@
+/**
+ * Dependency graph of a tasks.md (see tasksParser.js), following the execution order of
+ * tasks-template.md: phases run in order except that user story phases only wait for the
+ * phases that are not stories; within a phase tasks run in order, consecutive [P] tasks of the
+ * same group together; checkpoints, "depends on T00x" notes and shared files add edges.
+ * A "depends on" note wins over the implicit order where the two disagree.
+ * Has no VS Code dependency.
+ */
+
+/**
+ * @typedef {Object} Prerequisite
+ * @property {string} id - Task ID
+ * @property {'depends'|'order'|'checkpoint'|'file'|'phase'} reason - 'depends' for explicit notes,
+ *   'order'/'checkpoint' for order within a phase, 'phase' for an earlier phase
+ * @property {string} [file] - The shared file, for 'file'
+ */
+
+/**
+ * @typedef {Object} TaskNode
+ * @property {object} task - Task from tasksParser.parseTasks
+ * @property {Prerequisite[]} prerequisites - Task-level edges; phase dependencies are in TaskGraph.phaseDependencies
+ * @property {string[]} dependents
+ */
+
+/**
+ * @typedef {Object} TaskGraph
+ * @property {object} doc - The TasksDocument
+ * @property {Map<string, TaskNode>} nodes - Keyed by task ID, in document order
+ * @property {number[][]} phaseDependencies - Indexes of the phases each phase waits for
+ * @property {{file: string, taskIds: string[]}[]} conflicts - [P] tasks meant to run together that touch the same file
+ * @property {string[][]} cycles - Task IDs that wait for each other through "depends on" notes, so none can run
+ */
+
+function isStoryPhase(phase) {
+    return /User Story\s+\d+/i.test(phase.title) || (phase.tasks.length > 0 && phase.tasks.every(task => task.story));
+}
+
+/**
+ * Setup, Foundational and Polish wait for every earlier phase; user stories only for earlier
+ * phases that are not stories, so they can proceed in parallel
+ * @returns {number[][]}
+ */
+function getPhaseDependencies(doc) {
+    return doc.phases.map((phase, index) => {
+        const earlier = doc.phases.slice(0, index).map((_, i) => i);
+        return isStoryPhase(phase) ? earlier.filter(i => !isStoryPhase(doc.phases[i])) : earlier;
+    });
+}
+
+/**
+ * Split a phase into groups that run one after another: a single task, or consecutive [P]
+ * tasks under the same ### heading with no checkpoint between them
+ * @returns {{tasks: object[], afterCheckpoint: boolean}[]}
+ */
+function getOrderGroups(phase) {
+    const groups = [];
+    let current = null;
+
+    for (const task of phase.tasks) {
+        const previous = current && current.tasks[current.tasks.length - 1];
+        const afterCheckpoint = Boolean(previous) &&
+            phase.checkpoints.some(checkpoint => checkpoint.line > previous.line && checkpoint.line < task.line);
+
+        if (current && current.parallel && task.parallel && task.group === previous.group && !afterCheckpoint) {
+            current.tasks.push(task);
+        } else {
+            current = { tasks: [task], parallel: task.parallel, afterCheckpoint };
+            groups.push(current);
+        }
+    }
+    return groups;
+}
+
+function isFilePath(file) {
+    return !file.endsWith('/');
+}
+
+/**
+ * @param {object} doc - TasksDocument from tasksParser.parseTasks
+ * @returns {TaskGraph}
+ */
+function buildTaskGraph(doc) {
+    const nodes = new Map();
+    for (const task of doc.tasks) {
+        nodes.set(task.id, { task, prerequisites: [], dependents: [] });
+    }
+
+    const addEdge = (task, prerequisite) => {
+        const node = nodes.get(task.id);
+        if (prerequisite.id === task.id || !nodes.has(prerequisite.id) ||
+            node.prerequisites.some(existing => existing.id === prerequisite.id)) {
+            return;
+        }
+        node.prerequisites.push(prerequisite);
+        nodes.get(prerequisite.id).dependents.push(task.id);
+    };
+
+    const waitsFor = (id, otherId, seen = new Set()) => {
+        if (id === otherId) {
+            return true;
+        }
+        seen.add(id);
+        return nodes.get(id).prerequisites.some(prerequisite =>
+            !seen.has(prerequisite.id) && waitsFor(prerequisite.id, otherId, seen));
+    };
+
+    // Order and file edges are implied, so they give way to a depends-on note pointing the other way
+    const addImpliedEdge = (task, prerequisite) => {
+        if (nodes.has(prerequisite.id) && waitsFor(prerequisite.id, task.id)) {
+            return false;
+        }
+        addEdge(task, prerequisite);
+        return true;
+    };
+
+    const phaseDependencies = getPhaseDependencies(doc);
+    const groupOf = new Map();
+    const conflicts = [];
+
+    for (const task of doc.tasks) {
+        task.dependsOn.forEach(id => addEdge(task, { id, reason: 'depends' }));
+    }
+
+    // Wait for an earlier task of the phase. When that task depends on this one, this one takes its
+    // place in the order instead, waiting for what the earlier task waited for.
+    const followOrder = (task, earlier, reason) => {
+        if (addImpliedEdge(task, { id: earlier.id, reason })) {
+            return true;
+        }
+        nodes.get(earlier.id).prerequisites
+            .filter(prerequisite => prerequisite.reason === 'order' || prerequisite.reason === 'checkpoint')
+            .forEach(prerequisite => followOrder(task, nodes.get(prerequisite.id).task, reason));
+        return false;
+    };
+
+    for (const phase of doc.phases) {
+        let previous = [];
+        for (const group of getOrderGroups(phase)) {
+            group.tasks.forEach(task => groupOf.set(task, group));
+            const reason = group.afterCheckpoint ? 'checkpoint' : 'order';
+
+            // Earlier tasks moved after one of this group still come before the next group
+            const movedAfter = new Set();
+            for (const task of group.tasks) {
+                previous.filter(earlier => !followOrder(task, earlier, reason)).forEach(earlier => movedAfter.add(earlier));
+            }
+            previous = [...group.tasks, ...movedAfter];
+        }
+    }
+
+    // Tasks that touch the same file must not run at the same time: the later one waits
+    // unless phase or group order already separates them
+    doc.tasks.forEach((task, index) => {
+        for (const earlier of doc.tasks.slice(0, index)) {
+            const shared = task.files.filter(file => isFilePath(file) && earlier.files.includes(file));
+            if (shared.length === 0) {
+                continue;
+            }
+
+            const sameGroup = groupOf.get(task) === groupOf.get(earlier);
+            const unorderedPhases = task.phaseIndex !== earlier.phaseIndex &&
+                !phaseDependencies[task.phaseIndex].includes(earlier.phaseIndex);
+            if (sameGroup || unorderedPhases) {
+                addImpliedEdge(task, { id: earlier.id, reason: 'file', file: shared[0] });
+            }
+            if (sameGroup && task.parallel && earlier.parallel) {
+                shared.forEach(file => conflicts.push({ file, taskIds: [earlier.id, task.id] }));
+            }
+        }
+    });
+
+    return { doc, nodes, phaseDependencies, conflicts, cycles: findCycles(nodes) };
+}
+
+/**
+ * Groups of tasks that wait for each other (strongly connected components with more than one task)
+ * @param {Map<string, TaskNode>} nodes
+ * @returns {string[][]} Task IDs of each group, in document order
+ */
+function findCycles(nodes) {
+    const ids = [...nodes.keys()];
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const cycles = [];
+
+    const visit = id => {
+        index.set(id, index.size);
+        lowLink.set(id, index.get(id));
+        stack.push(id);
+
+        for (const { id: next } of nodes.get(id).prerequisites) {
+            if (!index.has(next)) {
+                visit(next);
+                lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+            } else if (stack.includes(next)) {
+                lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+            }
+        }
+
+        if (lowLink.get(id) === index.get(id)) {
+            const component = stack.splice(stack.indexOf(id));
+            if (component.length > 1) {
+                cycles.push(ids.filter(candidate => component.includes(candidate)));
+            }
+        }
+    };
+
+    for (const id of ids) {
+        if (!index.has(id)) {
+            visit(id);
+        }
+    }
+    return cycles;
+}
+
+/**
+ * Prerequisites of a task that are not completed yet, including the tasks of the phases it waits for
+ * @param {TaskGraph} graph
+ * @param {string} taskId
+ * @returns {Prerequisite[]}
+ */
+function getUnmetPrerequisites(graph, taskId) {
+    const node = graph.nodes.get(taskId);
+    if (!node) {
+        return [];
+    }
+
+    const isOpen = id => !graph.nodes.get(id).task.completed;
+    const unmet = node.prerequisites.filter(prerequisite => isOpen(prerequisite.id));
+    for (const phaseIndex of graph.phaseDependencies[node.task.phaseIndex] || []) {
+        for (const task of graph.doc.phases[phaseIndex].tasks) {
+            if (!task.completed && !unmet.some(prerequisite => prerequisite.id === task.id)) {
+                unmet.push({ id: task.id, reason: 'phase' });
+            }
+        }
+    }
+    return unmet;
+}
+
+/**
+ * Incomplete tasks whose prerequisites are all completed
+ * @param {TaskGraph} graph
+ * @returns {object[]} Tasks in document order
+ */
+function getRunnableTasks(graph) {
+    return graph.doc.tasks.filter(task =>
+        !task.completed && graph.nodes.get(task.id).task === task && getUnmetPrerequisites(graph, task.id).length === 0
+    );
+}
+
+/**
+ * One-line explanation of what a task is waiting for
+ * @param {TaskGraph} graph
+ * @param {Prerequisite[]} unmet - From getUnmetPrerequisites
+ * @returns {string} e.g. 'T003 (depends on), T004 (same file src/app.js), 5 tasks of Phase 2: Foundational'
+ */
+function describePrerequisites(graph, unmet) {
+    const parts = unmet.filter(prerequisite => prerequisite.reason !== 'phase').map(prerequisite => {
+        switch (prerequisite.reason) {
+            case 'depends': return `${prerequisite.id} (depends on)`;
+            case 'checkpoint': return `${prerequisite.id} (before checkpoint)`;
+            case 'file': return `${prerequisite.id} (same file ${prerequisite.file})`;
+            default: return prerequisite.id;
+        }
+    });
+
+    const byPhase = new Map();
+    for (const prerequisite of unmet.filter(candidate => candidate.reason === 'phase')) {
+        const phase = graph.doc.phases[graph.nodes.get(prerequisite.id).task.phaseIndex];
+        byPhase.set(phase, (byPhase.get(phase) || 0) + 1);
+    }
+    for (const [phase, count] of byPhase) {
+        parts.push(`${count} task${count === 1 ? '' : 's'} of ${phase.name}`);
+    }
+    return parts.join(', ');
+}
+
+module.exports = {
+    getOrderGroups,
+    buildTaskGraph,
+    getUnmetPrerequisites,
+    getRunnableTasks,
+    describePrerequisites
+};
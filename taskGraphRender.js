@@ -0,0 +1,252 @@
+/**
+ * Draws a task graph (see taskGraph.js) as SVG, with phases as swimlanes and [P] groups side by
+ * side, or as a Mermaid flowchart. Has no VS Code dependency; the same SVG is shown in the
+ * graph webview and written on export.
+ */
+const { getOrderGroups, getUnmetPrerequisites } = require('./taskGraph');
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 44;
+const H_GAP = 24;
+const V_GAP = 28;
+const LANE_HEADER = 30;
+const PADDING = 16;
+
+// Tag for tasks without a [USn] marker, so they can be filtered too
+const NO_STORY = 'none';
+
+// Fallbacks are used outside the webview, where VS Code theme variables are not defined
+const STATUS_STYLES = {
+    done: { fill: '#2e7d32', label: 'Completed' },
+    runnable: { fill: '#1565c0', label: 'Ready' },
+    waiting: { fill: '#757575', label: 'Waiting' },
+    failed: { fill: '#c62828', label: 'Verification failed' }
+};
+
+/**
+ * @typedef {Object} GraphOptions
+ * @property {string[]} [stories] - Story tags to show (see getStories); all when omitted
+ * @property {Map<string, {passed: boolean}>} [verifications] - From taskVerifier.readVerificationResults
+ */
+
+/**
+ * Story tags used in the graph, in order of first use
+ * @param {object} graph - TaskGraph
+ * @returns {string[]} e.g. ['none', 'US1', 'US2']
+ */
+function getStories(graph) {
+    return [...new Set(graph.doc.tasks.map(task => task.story || NO_STORY))];
+}
+
+/**
+ * @returns {'done'|'runnable'|'waiting'|'failed'}
+ */
+function getTaskStatus(graph, task, verifications) {
+    if (task.completed) {
+        return 'done';
+    }
+    const verification = verifications && verifications.get(task.id);
+    if (verification && !verification.passed) {
+        return 'failed';
+    }
+    return getUnmetPrerequisites(graph, task.id).length === 0 ? 'runnable' : 'waiting';
+}
+
+function isShown(task, options) {
+    return !options.stories || options.stories.includes(task.story || NO_STORY);
+}
+
+/**
+ * Phases an index waits for directly, leaving out those implied by another dependency
+ * @returns {number[]}
+ */
+function getDirectPhaseDependencies(graph, phaseIndex) {
+    const dependencies = graph.phaseDependencies[phaseIndex];
+    return dependencies.filter(dependency =>
+        !dependencies.some(other => other !== dependency && graph.phaseDependencies[other].includes(dependency))
+    );
+}
+
+/**
+ * Positions of lanes and nodes; phases without shown tasks are left out
+ * @param {object} graph - TaskGraph
+ * @param {GraphOptions} [options]
+ * @returns {{width: number, height: number, lanes: object[], nodes: Map<string, object>}} node
+ *   positions keyed by task ID
+ */
+function layoutTaskGraph(graph, options = {}) {
+    const lanes = [];
+    const nodes = new Map();
+    let y = PADDING;
+    let width = 0;
+
+    graph.doc.phases.forEach((phase, phaseIndex) => {
+        const rows = getOrderGroups(phase)
+            .map(group => group.tasks.filter(task => isShown(task, options)))
+            .filter(row => row.length > 0);
+        if (rows.length === 0) {
+            return;
+        }
+
+        const lane = { phase, phaseIndex, y, height: 0 };
+        let rowY = y + LANE_HEADER;
+        for (const row of rows) {
+            row.forEach((task, column) => {
+                const x = PADDING * 2 + column * (NODE_WIDTH + H_GAP);
+                nodes.set(task.id, { task, x, y: rowY, status: getTaskStatus(graph, task, options.verifications) });
+                width = Math.max(width, x + NODE_WIDTH + PADDING * 2);
+            });
+            rowY += NODE_HEIGHT + V_GAP;
+        }
+        lane.height = rowY - y - V_GAP + PADDING;
+        lanes.push(lane);
+        y += lane.height + PADDING;
+    });
+
+    return { width: Math.max(width, 480), height: y, lanes, nodes };
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function renderEdge(from, to, prerequisite) {
+    const dashed = prerequisite.reason === 'depends' || prerequisite.reason === 'file';
+    const style = `class="edge edge-${prerequisite.reason}"${dashed ? ' stroke-dasharray="5 3"' : ''}`;
+    const title = prerequisite.reason === 'file' ? `<title>Same file: ${escapeXml(prerequisite.file)}</title>` : '';
+
+    // Side by side (a file shared inside a [P] group): connect the facing sides
+    if (from.y === to.y) {
+        const [left, right] = from.x < to.x ? [from, to] : [to, from];
+        const y = from.y + NODE_HEIGHT / 2;
+        return `<path ${style} d="M${left.x + NODE_WIDTH},${y} L${right.x},${y}" marker-end="url(#arrow)">${title}</path>`;
+    }
+
+    const x1 = from.x + NODE_WIDTH / 2;
+    const y1 = from.y + NODE_HEIGHT;
+    const x2 = to.x + NODE_WIDTH / 2;
+    const y2 = to.y;
+    const bend = Math.max(V_GAP, (y2 - y1) / 2);
+    return `<path ${style} d="M${x1},${y1} C${x1},${y1 + bend} ${x2},${y2 - bend} ${x2},${y2}" marker-end="url(#arrow)">${title}</path>`;
+}
+
+/**
+ * @param {object} graph - TaskGraph
+ * @param {GraphOptions} [options]
+ * @returns {string} Standalone SVG document; nodes carry data-line with their tasks.md line
+ */
+function renderTaskGraphSvg(graph, options = {}) {
+    const layout = layoutTaskGraph(graph, options);
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" ` +
+            `viewBox="0 0 ${layout.width} ${layout.height}" font-family="sans-serif" font-size="12">`,
+        '<style>',
+        '.lane { fill: var(--vscode-sideBar-background, #f5f5f5); stroke: var(--vscode-panel-border, #ccc); }',
+        '.lane-title { fill: var(--vscode-foreground, #333); font-weight: bold; }',
+        '.lane-note { fill: var(--vscode-descriptionForeground, #777); }',
+        '.node text { fill: #fff; }',
+        '.node { cursor: pointer; }',
+        '.edge { fill: none; stroke: var(--vscode-foreground, #555); stroke-opacity: 0.6; }',
+        '.edge-file { stroke: #ef6c00; stroke-opacity: 1; }',
+        '</style>',
+        '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">',
+        '<path d="M0,0 L10,5 L0,10 z" fill="#888"/></marker></defs>'
+    ];
+
+    for (const lane of layout.lanes) {
+        const after = getDirectPhaseDependencies(graph, lane.phaseIndex)
+            .map(index => graph.doc.phases[index].name.replace(/:.*$/, ''));
+        parts.push(
+            `<rect class="lane" x="${PADDING}" y="${lane.y}" width="${layout.width - PADDING * 2}" height="${lane.height}" rx="6"/>`,
+            `<text class="lane-title" x="${PADDING * 2}" y="${lane.y + 20}">${escapeXml(truncate(lane.phase.name, 90))}` +
+                (after.length > 0 ? `<tspan class="lane-note" font-weight="normal"> - after ${escapeXml(after.join(', '))}</tspan>` : '') +
+                '</text>'
+        );
+    }
+
+    for (const [id, position] of layout.nodes) {
+        for (const prerequisite of graph.nodes.get(id).prerequisites) {
+            const from = layout.nodes.get(prerequisite.id);
+            if (from) {
+                parts.push(renderEdge(from, position, prerequisite));
+            }
+        }
+    }
+
+    for (const [id, { task, x, y, status }] of layout.nodes) {
+        const tag = [task.parallel ? '[P]' : '', task.story ? `[${task.story}]` : ''].filter(Boolean).join(' ');
+        parts.push(
+            `<g class="node node-${status}" data-line="${task.line}" data-task="${id}">`,
+            `<title>${escapeXml(`${id}: ${task.description} (${STATUS_STYLES[status].label})`)}</title>`,
+            `<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="4" fill="${STATUS_STYLES[status].fill}"/>`,
+            `<text x="${x + 8}" y="${y + 17}" font-weight="bold">${escapeXml(`${id} ${tag}`.trim())}</text>`,
+            `<text x="${x + 8}" y="${y + 34}">${escapeXml(truncate(task.description, 30))}</text>`,
+            '</g>'
+        );
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+function mermaidLabel(text) {
+    return text.replace(/"/g, '#quot;').replace(/[<>]/g, '');
+}
+
+/**
+ * @param {object} graph - TaskGraph
+ * @param {GraphOptions} [options]
+ * @returns {string} Mermaid flowchart with a subgraph per phase
+ */
+function renderTaskGraphMermaid(graph, options = {}) {
+    const layout = layoutTaskGraph(graph, options);
+    const lines = ['flowchart TB'];
+
+    for (const lane of layout.lanes) {
+        lines.push(`    subgraph phase${lane.phaseIndex}["${mermaidLabel(lane.phase.name)}"]`);
+        for (const task of lane.phase.tasks.filter(candidate => layout.nodes.has(candidate.id))) {
+            const tag = [task.parallel ? '[P]' : '', task.story ? `[${task.story}]` : ''].filter(Boolean).join(' ');
+            lines.push(`        ${task.id}["${mermaidLabel(`${task.id} ${tag} ${truncate(task.description, 40)}`.replace(/\s+/g, ' '))}"]`);
+        }
+        lines.push('    end');
+    }
+
+    const shownPhases = new Set(layout.lanes.map(lane => lane.phaseIndex));
+    for (const lane of layout.lanes) {
+        for (const dependency of getDirectPhaseDependencies(graph, lane.phaseIndex).filter(index => shownPhases.has(index))) {
+            lines.push(`    phase${dependency} --> phase${lane.phaseIndex}`);
+        }
+    }
+
+    for (const id of layout.nodes.keys()) {
+        for (const prerequisite of graph.nodes.get(id).prerequisites.filter(edge => layout.nodes.has(edge.id))) {
+            const arrow = prerequisite.reason === 'depends' ? '-.->|depends on|'
+                : prerequisite.reason === 'file' ? `-.->|${mermaidLabel(prerequisite.file).replace(/\|/g, '')}|`
+                : '-->';
+            lines.push(`    ${prerequisite.id} ${arrow} ${id}`);
+        }
+    }
+
+    for (const [status, style] of Object.entries(STATUS_STYLES)) {
+        const ids = [...layout.nodes.values()].filter(node => node.status === status).map(node => node.task.id);
+        lines.push(`    classDef ${status} fill:${style.fill},color:#fff`);
+        if (ids.length > 0) {
+            lines.push(`    class ${ids.join(',')} ${status}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    NO_STORY,
+    STATUS_STYLES,
+    getStories,
+    layoutTaskGraph,
+    renderTaskGraphSvg,
+    renderTaskGraphMermaid
+};
@@ -0,0 +1,351 @@
+/**
+ * Local, mechanical verification of a task (see tasksParser.js): the files it names exist and
+ * changed since the task was started, and the configured test/lint commands pass for them.
+ * Reports are stored as specs/<feature>/verification/<task id>.md (for people and agents)
+ * plus <task id>.json (for the task view). Has no VS Code dependency.
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const VERIFICATION_DIR = 'verification';
+
+// Command output kept in the markdown report (the tail, where test runners summarize)
+const REPORT_OUTPUT_LINES = 100;
+
+// Command output kept in memory and in the JSON report
+const MAX_OUTPUT_CHARS = 1024 * 1024;
+
+/**
+ * @typedef {Object} FileCheck
+ * @property {string} path - As named in the task
+ * @property {boolean} exists
+ * @property {boolean|null} changed - Modified since the task started; null when that cannot be told
+ */
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {string} command - After ${files} expansion
+ * @property {number} exitCode
+ * @property {boolean} timedOut
+ * @property {number} durationMs
+ * @property {string} output - stdout and stderr as they were written, the tail when very long
+ * @property {boolean} [cancelled] - The command was killed because verification was cancelled
+ */
+
+/**
+ * @typedef {Object} VerificationReport
+ * @property {string} taskId
+ * @property {string} description
+ * @property {boolean} passed
+ * @property {string|null} startedAt - ISO time the task was started, when known
+ * @property {string} finishedAt - ISO time of the verification
+ * @property {FileCheck[]} files
+ * @property {CommandResult[]} commands
+ * @property {string[]} skipped - Commands using ${files} that were not run because no named file exists
+ * @property {boolean} cancelled - Verification was cancelled before all commands ran
+ * @property {string[]} problems - Why the verification failed
+ * @property {string[]} unknown - Existing files that may not have changed: without a start time,
+ *   a file without uncommitted changes cannot be told apart from one the task never touched
+ */
+
+/**
+ * Without a start time, a file with uncommitted changes counts as changed
+ * @returns {boolean|null}
+ */
+function hasChanged(workspacePath, filePath, startedAt) {
+    const fullPath = path.join(workspacePath, filePath);
+    if (startedAt) {
+        return fs.statSync(fullPath).mtimeMs > startedAt;
+    }
+
+    const result = spawnSync('git', ['status', '--porcelain', '--', filePath], {
+        cwd: workspacePath,
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    if (result.error || result.status !== 0) {
+        return null;
+    }
+    return result.stdout.trim() !== '' ? true : null;
+}
+
+/**
+ * @param {string} workspacePath - Task file paths are relative to it
+ * @param {string[]} files - Paths named in the task
+ * @param {number|null} startedAt - Epoch ms the task was started
+ * @returns {FileCheck[]}
+ */
+function checkTaskFiles(workspacePath, files, startedAt) {
+    return files.map(file => {
+        const exists = fs.existsSync(path.join(workspacePath, file));
+        // Directories (named with a trailing slash) only need to exist
+        const changed = exists && !file.endsWith('/') ? hasChanged(workspacePath, file, startedAt) : null;
+        return { path: file, exists, changed };
+    });
+}
+
+function quoteArgument(value) {
+    if (process.platform === 'win32') {
+        // Backslashes are only special before a quote (CommandLineToArgvW rules)
+        return `"${value.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+    }
+    return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Replace ${files} with the task's existing files, quoted for the shell
+ * @param {string} command
+ * @param {string[]} files
+ * @returns {string}
+ */
+function expandCommand(command, files) {
+    return command.replace(/\$\{files\}/g, files.map(quoteArgument).join(' ')).trim();
+}
+
+/**
+ * Kill a shell and the commands it started; killing only the shell would leave them running
+ * @param {import('child_process').ChildProcess} child - Started detached on POSIX
+ */
+function killCommand(child) {
+    try {
+        if (process.platform === 'win32') {
+            spawnSync('taskkill', ['/pid', String(child.pid), '/t', '/f'], { timeout: 10000 });
+        } else {
+            process.kill(-child.pid, 'SIGTERM');
+        }
+    } catch (err) {
+        child.kill();
+    }
+}
+
+/**
+ * @param {string} command - Shell command
+ * @param {string} cwd
+ * @param {number} timeoutMs
+ * @param {{isCancellationRequested: boolean, onCancellationRequested: Function}} [token] - Kills
+ *   the command when cancellation is requested
+ * @returns {Promise<CommandResult>}
+ */
+function runCommand(command, cwd, timeoutMs, token) {
+    const started = Date.now();
+    return new Promise(resolve => {
+        // In its own process group on POSIX, so a timeout or cancellation stops everything the command started
+        const child = spawn(command, { cwd, shell: true, windowsHide: true, detached: process.platform !== 'win32' });
+        let output = '';
+        let stoppedBy = null;
+        let settled = false;
+
+        const collect = chunk => {
+            output = `${output}${chunk}`.slice(-MAX_OUTPUT_CHARS);
+        };
+        const stop = reason => {
+            if (!stoppedBy) {
+                stoppedBy = reason;
+                killCommand(child);
+            }
+        };
+        const timer = setTimeout(() => stop('timeout'), timeoutMs);
+        const subscription = token && token.onCancellationRequested(() => stop('cancel'));
+
+        const finish = exitCode => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            if (subscription) {
+                subscription.dispose();
+            }
+            resolve({
+                command,
+                exitCode,
+                timedOut: stoppedBy === 'timeout',
+                cancelled: stoppedBy === 'cancel',
+                durationMs: Date.now() - started,
+                output: output.trim()
+            });
+        };
+
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.on('error', err => {
+            collect(err.message);
+            finish(1);
+        });
+        child.on('close', code => finish(typeof code === 'number' && !stoppedBy ? code : 1));
+    });
+}
+
+/**
+ * Verify one task
+ * @param {string} workspacePath
+ * @param {object} task - Task from tasksParser.parseTasks
+ * @param {{commands?: string[], startedAt?: number|null, timeoutMs?: number, token?: object}} [options] -
+ *   commands may use ${files}; startedAt is when the task was started (epoch ms); token is a
+ *   cancellation token that kills the running command
+ * @returns {Promise<VerificationReport>}
+ */
+async function runTaskVerification(workspacePath, task, options = {}) {
+    const startedAt = options.startedAt || null;
+    const token = options.token;
+    const files = checkTaskFiles(workspacePath, task.files, startedAt);
+    const existing = files.filter(file => file.exists).map(file => file.path);
+
+    const commands = [];
+    const skipped = [];
+    for (const command of options.commands || []) {
+        if (token && token.isCancellationRequested) {
+            break;
+        }
+        // Without files, `eslint ${files}` would lint the whole folder (or nothing) instead of the task's files
+        if (command.includes('${files}') && existing.length === 0) {
+            skipped.push(command);
+            continue;
+        }
+        commands.push(await runCommand(expandCommand(command, existing), workspacePath, options.timeoutMs || 300000, token));
+    }
+    const cancelled = Boolean(token && token.isCancellationRequested);
+    const unknown = files.filter(file => file.exists && !file.path.endsWith('/') && file.changed === null).map(file => file.path);
+
+    const problems = [
+        ...files.filter(file => !file.exists).map(file => `${file.path} does not exist`),
+        ...files.filter(file => file.changed === false).map(file => `${file.path} was not modified since the task started`),
+        ...commands.filter(result => result.exitCode !== 0).map(result =>
+            result.cancelled ? `\`${result.command}\` was cancelled`
+                : result.timedOut ? `\`${result.command}\` timed out`
+                : `\`${result.command}\` exited with ${result.exitCode}`
+        ),
+        ...(cancelled ? ['Verification was cancelled'] : [])
+    ];
+
+    return {
+        taskId: task.id,
+        description: task.description,
+        passed: problems.length === 0,
+        startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+        finishedAt: new Date().toISOString(),
+        files,
+        commands,
+        skipped,
+        cancelled,
+        problems,
+        unknown
+    };
+}
+
+/**
+ * @param {VerificationReport} report
+ * @returns {string} Markdown
+ */
+function formatVerificationReport(report) {
+    const lines = [
+        `# Verification: ${report.taskId} ${report.passed ? '✅ passed' : '❌ failed'}`,
+        '',
+        `**Task**: ${report.description}  `,
+        `**Verified**: ${report.finishedAt}  `,
+        `**Started**: ${report.startedAt || 'unknown (changes are taken from git status)'}`,
+        ''
+    ];
+    const unknown = report.unknown || [];
+    if (unknown.length > 0) {
+        const names = unknown.map(file => `\`${file}\``).join(', ');
+        lines.push(`**Changes unknown**: ${names} (no uncommitted changes; run Implement first to check them)`, '');
+    }
+
+    if (report.problems.length > 0) {
+        lines.push('## Problems', '', ...report.problems.map(problem => `- ${problem}`), '');
+    }
+
+    lines.push('## Files', '');
+    if (report.files.length === 0) {
+        lines.push('The task names no files.');
+    }
+    for (const file of report.files) {
+        const changed = unknown.includes(file.path) ? ', change unknown'
+            : file.changed === null ? '' : file.changed ? ', changed' : ', not changed';
+        lines.push(`- ${file.exists ? '✅' : '❌'} \`${file.path}\` (${file.exists ? 'exists' : 'missing'}${changed})`);
+    }
+    lines.push('');
+
+    lines.push('## Commands', '');
+    const skipped = report.skipped || [];
+    if (report.commands.length === 0 && skipped.length === 0) {
+        lines.push('No test or lint commands configured (traycer.verify.commands).', '');
+    }
+    for (const command of skipped) {
+        lines.push(`- ⏭️ \`${command}\` skipped: none of the task's files exist to fill in \${files}`);
+    }
+    if (skipped.length > 0) {
+        lines.push('');
+    }
+    for (const result of report.commands) {
+        const outcome = result.timedOut ? 'timed out' : `exit code ${result.exitCode}`;
+        const output = result.output.split('\n').slice(-REPORT_OUTPUT_LINES).join('\n');
+        lines.push(
+            `### ${result.exitCode === 0 ? '✅' : '❌'} \`${result.command}\``,
+            '',
+            `${outcome}, ${(result.durationMs / 1000).toFixed(1)}s`,
+            '',
+            '```text',
+            output || '(no output)',
+            '```',
+            ''
+        );
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Store the report next to the feature's other documents
+ * @param {string} featurePath - specs/<feature> directory
+ * @param {VerificationReport} report
+ * @returns {string} Path of the markdown report
+ */
+function writeVerificationReport(featurePath, report) {
+    const dir = path.join(featurePath, VERIFICATION_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const reportPath = path.join(dir, `${report.taskId}.md`);
+    fs.writeFileSync(reportPath, formatVerificationReport(report));
+    fs.writeFileSync(path.join(dir, `${report.taskId}.json`), JSON.stringify(report, null, 4));
+    return reportPath;
+}
+
+/**
+ * Latest verification outcome of every task of a feature
+ * @param {string} featurePath - specs/<feature> directory
+ * @returns {Map<string, {passed: boolean, finishedAt: string, reportPath: string}>} keyed by task ID
+ */
+function readVerificationResults(featurePath) {
+    const dir = path.join(featurePath, VERIFICATION_DIR);
+    const results = new Map();
+    if (!fs.existsSync(dir)) {
+        return results;
+    }
+
+    for (const name of fs.readdirSync(dir).filter(entry => entry.endsWith('.json'))) {
+        try {
+            const report = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            results.set(report.taskId, {
+                passed: report.passed,
+                finishedAt: report.finishedAt,
+                reportPath: path.join(dir, `${report.taskId}.md`)
+            });
+        } catch (err) {
+            // A half-written or hand-edited report is ignored
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    VERIFICATION_DIR,
+    checkTaskFiles,
+    expandCommand,
+    runTaskVerification,
+    formatVerificationReport,
+    writeVerificationReport,
+    readVerificationResults
+};
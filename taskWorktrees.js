@@ -0,0 +1,210 @@
+/**
+ * Git plumbing for implementing [P] tasks side by side: each task gets its own branch and
+ * worktree, the AI response is written into it as whole files and committed, and the branches
+ * are merged back one by one with conflicts detected (and the merge aborted).
+ * Has no VS Code dependency; git is called directly.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Appended to implement prompts so the changes can be applied to a worktree: the streaming
+ * backends answer in text and cannot edit files themselves
+ */
+const FILE_BLOCK_INSTRUCTIONS = [
+    'Reply with the complete content of every file you create or change. For each file, write',
+    '`File: <path relative to the workspace folder>` on its own line, followed by one fenced code',
+    'block with the whole new content (not a diff). Files you do not list stay unchanged.'
+].join('\n');
+
+/**
+ * @typedef {Object} TaskWorktree
+ * @property {string} taskId
+ * @property {string} branch
+ * @property {string} path - Worktree directory
+ * @property {string} folder - Directory in the worktree that matches the workspace folder
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {boolean} merged
+ * @property {string[]} conflicts - Files with conflicts; the merge was aborted
+ * @property {string|null} error - Why the merge could not be attempted
+ */
+
+/**
+ * Run git without blocking the extension host: merges and worktree checkouts can take a while
+ * @returns {Promise<{ok: boolean, stdout: string, output: string}>}
+ */
+function runGit(cwd, args) {
+    return new Promise(resolve => {
+        execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            // A failed command's error message repeats its stderr, so it is only added when git did not run
+            const failure = error && typeof error.code !== 'number' ? error.message : '';
+            resolve({
+                ok: !error,
+                stdout: stdout || '',
+                output: `${stdout || ''}${stderr || ''}${failure}`.trim()
+            });
+        });
+    });
+}
+
+// Task commits and their merges are made for the user, so a placeholder author will do when git has none
+async function getIdentityArgs(cwd) {
+    return (await runGit(cwd, ['config', 'user.email'])).ok ? [] : ['-c', 'user.name=Traycer', '-c', 'user.email=traycer@localhost'];
+}
+
+/**
+ * @param {string} repoPath
+ * @returns {Promise<string|null>} Why worktrees cannot be used, or null when they can
+ */
+async function checkRepository(repoPath) {
+    const inside = await runGit(repoPath, ['rev-parse', '--is-inside-work-tree']);
+    if (!inside.ok || inside.stdout.trim() !== 'true') {
+        return 'The folder is not a git repository';
+    }
+    if (!(await runGit(repoPath, ['rev-parse', '--verify', 'HEAD'])).ok) {
+        return 'The repository has no commits yet';
+    }
+    // Worktrees start from HEAD, and merging into a tree with local edits can clobber them
+    const status = await runGit(repoPath, ['status', '--porcelain', '--untracked-files=no']);
+    if (status.stdout.trim() !== '') {
+        return 'The working tree has uncommitted changes; commit or stash them first';
+    }
+    return null;
+}
+
+/**
+ * Branch off HEAD into a new worktree under the system temp directory
+ * @param {string} repoPath - Workspace folder; may be a subdirectory of the repository
+ * @param {string} taskId
+ * @param {string} baseName - Prefix of the branch, e.g. the feature branch
+ * @returns {Promise<TaskWorktree>}
+ */
+async function createTaskWorktree(repoPath, taskId, baseName) {
+    const suffix = Date.now().toString(36);
+    const branch = `${baseName}-${taskId.toLowerCase()}-${suffix}`;
+    const worktreePath = path.join(os.tmpdir(), 'traycer-worktrees', `${path.basename(repoPath)}-${taskId}-${suffix}`);
+
+    fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+    const result = await runGit(repoPath, ['worktree', 'add', '-b', branch, worktreePath, 'HEAD']);
+    if (!result.ok) {
+        throw new Error(`git worktree add failed: ${result.output}`);
+    }
+    const prefix = (await runGit(repoPath, ['rev-parse', '--show-prefix'])).stdout.trim();
+    return { taskId, branch, path: worktreePath, folder: path.resolve(worktreePath, prefix) };
+}
+
+/**
+ * Files given in a response written as FILE_BLOCK_INSTRUCTIONS asks
+ * @param {string} text - AI response
+ * @returns {{path: string, content: string}[]} The last block wins when a file is given twice
+ */
+function parseFileBlocks(text) {
+    const files = new Map();
+    const lines = text.split(/\r?\n/);
+    let pendingPath = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const header = lines[i].match(/^\s*(?:#{1,6}\s*)?(?:\*\*)?File:\s*(?:\*\*)?\s*`?([^`*]+?)`?\s*(?:\*\*)?\s*$/i);
+        if (header) {
+            pendingPath = header[1].trim();
+            continue;
+        }
+
+        const fence = lines[i].match(/^\s*(`{3,}|~{3,})/);
+        if (fence && pendingPath) {
+            const end = lines.findIndex((line, index) => index > i && line.trim() === fence[1]);
+            const content = lines.slice(i + 1, end === -1 ? lines.length : end);
+            files.set(pendingPath, `${content.join('\n')}\n`);
+            pendingPath = null;
+            i = end === -1 ? lines.length : end;
+        } else if (lines[i].trim() !== '') {
+            pendingPath = null;
+        }
+    }
+    return [...files].map(([filePath, content]) => ({ path: filePath, content }));
+}
+
+/**
+ * Write the files of a response into the worktree and commit them on its branch. The repository's
+ * hooks run as for any commit; when one fails, the error carries git's output.
+ * @param {TaskWorktree} worktree
+ * @param {{path: string, content: string}[]} files - From parseFileBlocks
+ * @param {string} message - Commit message
+ * @returns {Promise<string[]>} Files written; paths leaving the workspace folder's part of the worktree
+ *   or inside .git are skipped
+ */
+async function commitFiles(worktree, files, message) {
+    const written = [];
+    for (const file of files) {
+        const target = path.resolve(worktree.folder, file.path);
+        if (path.isAbsolute(file.path) || !target.startsWith(path.resolve(worktree.folder) + path.sep) ||
+            path.relative(worktree.path, target).split(path.sep).some(segment => segment.toLowerCase() === '.git')) {
+            continue;
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+        written.push(file.path);
+    }
+    if (written.length === 0) {
+        return written;
+    }
+
+    const add = await runGit(worktree.folder, ['add', '--', ...written]);
+    const commit = add.ok && await runGit(worktree.path, [...await getIdentityArgs(worktree.path), 'commit', '-m', message]);
+    if (!add.ok || !commit.ok) {
+        const error = new Error(add.ok ? 'git commit failed (see the hook output)' : 'git add failed');
+        error.output = (commit || add).output;
+        throw error;
+    }
+    return written;
+}
+
+/**
+ * Merge a task branch into the branch checked out in repoPath; on conflicts the merge is aborted
+ * @param {string} repoPath
+ * @param {TaskWorktree} worktree
+ * @returns {Promise<MergeResult>}
+ */
+async function mergeTaskBranch(repoPath, worktree) {
+    const merge = await runGit(repoPath, [
+        ...await getIdentityArgs(repoPath),
+        'merge', '--no-ff', '--no-edit', '-m', `Merge ${worktree.taskId} (${worktree.branch})`, worktree.branch
+    ]);
+    if (merge.ok) {
+        return { merged: true, conflicts: [], error: null };
+    }
+
+    const unmerged = await runGit(repoPath, ['diff', '--name-only', '--diff-filter=U']);
+    const conflicts = unmerged.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+    await runGit(repoPath, ['merge', '--abort']);
+    return { merged: false, conflicts, error: conflicts.length > 0 ? null : merge.output };
+}
+
+/**
+ * Remove the worktree; its branch is deleted too unless it is kept for manual merging
+ * @param {string} repoPath
+ * @param {TaskWorktree} worktree
+ * @param {boolean} keepBranch
+ * @returns {Promise<void>}
+ */
+async function removeTaskWorktree(repoPath, worktree, keepBranch) {
+    await runGit(repoPath, ['worktree', 'remove', '--force', worktree.path]);
+    if (!keepBranch) {
+        await runGit(repoPath, ['branch', '-D', worktree.branch]);
+    }
+}
+
+module.exports = {
+    FILE_BLOCK_INSTRUCTIONS,
+    checkRepository,
+    createTaskWorktree,
+    parseFileBlocks,
+    commitFiles,
+    mergeTaskBranch,
+    removeTaskWorktree
+};
@@ -0,0 +1,352 @@
+/**
+ * Parser for Spec-Kit tasks.md files (see .specify/templates/tasks-template.md).
+ * Has no VS Code dependency so it can be used from scripts as well as the extension.
+ */
+
+/**
+ * @typedef {Object} SourceRange
+ * @property {number} startLine - 0-based, inclusive
+ * @property {number} endLine - 0-based, inclusive
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id - Task ID, e.g. 'T012'
+ * @property {boolean} completed - Checkbox is [x] or [X]
+ * @property {boolean} parallel - Marked [P]
+ * @property {string|null} story - User story tag without brackets, e.g. 'US1'
+ * @property {string} description - Full description without markers; continuation lines are joined
+ * @property {string[]} notes - Sub-bullets nested under the task
+ * @property {string[]} files - File paths referenced in the description and notes
+ * @property {string[]} dependsOn - Task IDs named in "depends on T012, T013"-style text
+ * @property {string|null} group - Enclosing ### heading, e.g. 'Tests for User Story 1'
+ * @property {number} phaseIndex - Index into TasksDocument.phases
+ * @property {number} line - Line of the checkbox (0-based)
+ * @property {SourceRange} range - Checkbox line plus continuation lines and sub-bullets
+ * @property {string} raw - Source text of the checkbox line
+ */
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {string} text
+ * @property {number} line
+ */
+
+/**
+ * @typedef {Object} Phase
+ * @property {number|null} number - Phase number; null for "Phase N" and task sections outside phases
+ * @property {string} name - Heading text, e.g. 'Phase 3: User Story 1 - Login (Priority: P1) 🎯 MVP'
+ * @property {string} title - Name without the "Phase N:" prefix
+ * @property {string|null} priority - e.g. 'P1'
+ * @property {string|null} purpose - **Purpose** line
+ * @property {string|null} goal - **Goal** line
+ * @property {Task[]} tasks
+ * @property {Checkpoint[]} checkpoints
+ * @property {SourceRange} range
+ */
+
+/**
+ * @typedef {Object} TasksDocument
+ * @property {string|null} title - Text of the "# Tasks: ..." heading
+ * @property {Phase[]} phases
+ * @property {Task[]} tasks - All tasks in document order
+ * @property {{text: string, line: number}[]} dependencyNotes - Bullets of the Dependencies section
+ */
+
+const TASK_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s+(T\d+)\b:?\s*(.*)$/;
+const PHASE_PATTERN = /^##\s+Phase\s+(\d+|[A-Z])\s*[:.\-–—]\s*(.+?)\s*$/i;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const FIELD_PATTERN = /^\*\*([^*]+)\*\*:\s*(.*)$/;
+const DEPENDENCY_PATTERN = /\b(?:depends on|depend on|dependent on|after|requires|blocked by)\s+((?:T\d+(?:\s*(?:,|and|&|\/)\s*)?)+)/gi;
+
+const FILE_EXTENSIONS = new Set([
+    'c', 'cc', 'cfg', 'cjs', 'conf', 'cpp', 'cs', 'css', 'dart', 'env', 'go', 'gradle', 'h', 'hpp',
+    'html', 'ini', 'java', 'js', 'json', 'jsx', 'kt', 'less', 'lock', 'md', 'mjs', 'php', 'proto',
+    'ps1', 'py', 'rb', 'rs', 'sass', 'scss', 'sh', 'sql', 'svelte', 'swift', 'toml', 'ts', 'tsx',
+    'txt', 'vue', 'xml', 'yaml', 'yml'
+]);
+
+/**
+ * Parse tasks.md content into phases and tasks
+ * @param {string} content - tasks.md content
+ * @returns {TasksDocument}
+ */
+function parseTasks(content) {
+    const lines = content.split(/\r?\n/);
+    const doc = { title: null, phases: [], tasks: [], dependencyNotes: [] };
+
+    let phase = null;           // Current phase (created lazily for non-phase sections)
+    let section = null;         // Current ## heading text
+    let sectionStart = 0;
+    let group = null;           // Current ### heading text
+    let task = null;            // Task still collecting continuation lines
+    let inFence = false;
+    let inComment = false;
+
+    const closePhase = (endLine) => {
+        if (phase) {
+            phase.range.endLine = lastContentLine(lines, phase.range.startLine, endLine);
+        }
+    };
+
+    const openPhase = (number, name, title, startLine) => {
+        phase = {
+            number,
+            name,
+            title,
+            priority: (name.match(/\(Priority:\s*(P\d+)\)/i) || [])[1] || null,
+            purpose: null,
+            goal: null,
+            tasks: [],
+            checkpoints: [],
+            range: { startLine, endLine: startLine }
+        };
+        doc.phases.push(phase);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Skip fenced code blocks (e.g. "Parallel Example") and HTML comments
+        if (/^(```|~~~)/.test(trimmed)) {
+            inFence = !inFence;
+            task = null;
+            continue;
+        }
+        if (inFence) {
+            continue;
+        }
+        if (inComment || trimmed.startsWith('<!--')) {
+            inComment = !trimmed.includes('-->');
+            continue;
+        }
+
+        if (task && continuesTask(task, line, lines, i)) {
+            appendToTask(task, line, i);
+            continue;
+        }
+        task = null;
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            const text = heading[2];
+
+            if (level === 1) {
+                doc.title = text.replace(/^Tasks:\s*/i, '');
+            } else if (level === 2) {
+                closePhase(i - 1);
+                phase = null;
+                group = null;
+                section = text;
+                sectionStart = i;
+
+                const phaseMatch = line.match(PHASE_PATTERN);
+                if (phaseMatch) {
+                    const number = /^\d+$/.test(phaseMatch[1]) ? parseInt(phaseMatch[1], 10) : null;
+                    openPhase(number, text, phaseMatch[2], i);
+                }
+            } else {
+                group = text;
+            }
+            continue;
+        }
+
+        const taskMatch = line.match(TASK_PATTERN);
+        if (taskMatch) {
+            if (!phase) {
+                // Tasks outside a "## Phase N:" header get a phase named after their section
+                openPhase(null, section || 'Tasks', section || 'Tasks', section ? sectionStart : i);
+            }
+
+            task = createTask(taskMatch, line, i, group, doc.phases.length - 1);
+            phase.tasks.push(task);
+            doc.tasks.push(task);
+            continue;
+        }
+
+        const field = trimmed.match(FIELD_PATTERN);
+        if (field && phase) {
+            const name = field[1].trim().toLowerCase();
+            if (name === 'checkpoint') {
+                phase.checkpoints.push({ text: field[2].trim(), line: i });
+            } else if (name === 'purpose') {
+                phase.purpose = field[2].trim();
+            } else if (name === 'goal') {
+                phase.goal = field[2].trim();
+            }
+            continue;
+        }
+
+        if (section && /dependencies/i.test(section)) {
+            const item = line.match(LIST_ITEM_PATTERN);
+            if (item) {
+                doc.dependencyNotes.push({ text: item[2].trim(), line: i });
+            }
+        }
+    }
+
+    closePhase(lines.length - 1);
+
+    for (const parsed of doc.tasks) {
+        const text = [parsed.description, ...parsed.notes].join('\n');
+        parsed.files = extractFilePaths(text);
+        parsed.dependsOn = extractDependencies(text).filter(id => id !== parsed.id);
+        delete parsed.indent;
+    }
+
+    return doc;
+}
+
+function createTask(match, line, lineNumber, group, phaseIndex) {
+    const rest = match[4];
+    const storyMatch = rest.match(/\[(US\d+)\]/);
+
+    const description = rest
+        .replace(/\[P\]/g, '')
+        .replace(/\[US\d+\]/g, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+
+    return {
+        id: match[3],
+        completed: match[2].toLowerCase() === 'x',
+        parallel: /\[P\]/.test(rest),
+        story: storyMatch ? storyMatch[1] : null,
+        description,
+        notes: [],
+        files: [],
+        dependsOn: [],
+        group,
+        phaseIndex,
+        line: lineNumber,
+        range: { startLine: lineNumber, endLine: lineNumber },
+        raw: line,
+        indent: match[1].length
+    };
+}
+
+/**
+ * A line belongs to the task above it when it is indented deeper than the checkbox.
+ * Blank lines belong to it only if more indented content follows.
+ */
+function continuesTask(task, line, lines, index) {
+    if (line.trim() === '') {
+        for (let j = index + 1; j < lines.length; j++) {
+            if (lines[j].trim() !== '') {
+                return indentOf(lines[j]) > task.indent && !TASK_PATTERN.test(lines[j]);
+            }
+        }
+        return false;
+    }
+    return indentOf(line) > task.indent && !TASK_PATTERN.test(line);
+}
+
+function appendToTask(task, line, index) {
+    const trimmed = line.trim();
+    if (trimmed === '') {
+        return;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+        task.notes.push(item[2].trim());
+    } else if (task.notes.length > 0) {
+        // Wrapped text of the last sub-bullet
+        task.notes[task.notes.length - 1] += ` ${trimmed}`;
+    } else {
+        task.description += ` ${trimmed}`;
+    }
+    task.range.endLine = index;
+}
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function lastContentLine(lines, startLine, endLine) {
+    let end = endLine;
+    while (end > startLine && /^\s*(---+)?\s*$/.test(lines[end])) {
+        end--;
+    }
+    return end;
+}
+
+/**
+ * Extract file and directory paths mentioned in task text
+ * @param {string} text
+ * @returns {string[]} Unique paths in order of appearance
+ */
+function extractFilePaths(text) {
+    const paths = [];
+    const add = (candidate) => {
+        const cleaned = candidate.replace(/^\.\//, '');
+        if (cleaned && !paths.includes(cleaned)) {
+            paths.push(cleaned);
+        }
+    };
+
+    // Backticked code spans are trusted when they look like a path at all
+    const withoutCode = text.replace(/`([^`]+)`/g, (match, code) => {
+        const candidate = code.trim();
+        if (!/\s/.test(candidate) && (candidate.includes('/') || hasFileExtension(candidate))) {
+            add(candidate);
+        }
+        return ' ';
+    });
+
+    for (const word of withoutCode.split(/\s+/)) {
+        const candidate = word
+            .replace(/^[("'<]+/, '')
+            .replace(/[)"'>,;:!?]+$/, '')
+            .replace(/\.+$/, '');
+
+        if (!candidate || candidate.includes('://')) {
+            continue;
+        }
+
+        if (candidate.includes('/')) {
+            // Needs a file extension or trailing slash so prose like "and/or" is skipped
+            if (hasFileExtension(candidate) || candidate.endsWith('/')) {
+                add(candidate);
+            }
+        } else if (hasFileExtension(candidate) && FILE_EXTENSIONS.has(extensionOf(candidate))) {
+            add(candidate);
+        }
+    }
+
+    return paths;
+}
+
+function hasFileExtension(candidate) {
+    return /[^/.]\.[A-Za-z0-9]{1,10}$/.test(candidate);
+}
+
+function extensionOf(candidate) {
+    return candidate.slice(candidate.lastIndexOf('.') + 1).toLowerCase();
+}
+
+/**
+ * Extract task IDs named as prerequisites, e.g. "(depends on T012, T013)"
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractDependencies(text) {
+    const ids = [];
+    for (const match of text.matchAll(DEPENDENCY_PATTERN)) {
+        for (const id of match[1].match(/T\d+/g) || []) {
+            if (!ids.includes(id)) {
+                ids.push(id);
+            }
+        }
+    }
+    return ids;
+}
+
+module.exports = {
+    parseTasks,
+    extractFilePaths,
+    extractDependencies
+};
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonc, mergeJsonc, removeJsonc } = require('../jsonc');
+
+const SETTINGS = `{
+    // Spec-Kit
+    "editor.tabSize": 2,
+    "chat.tools": { "a": true },
+    "files.exclude": {
+        "**/.git": true, // keep
+    },
+}
+`;
+
+describe('parseJsonc', () => {
+    it('allows comments and trailing commas', () => {
+        assert.deepEqual(parseJsonc(SETTINGS), {
+            'editor.tabSize': 2,
+            'chat.tools': { a: true },
+            'files.exclude': { '**/.git': true }
+        });
+        assert.deepEqual(parseJsonc('/* block */ [1, "two", null, false, -3.5e2,]'), [1, 'two', null, false, -350]);
+    });
+
+    it('reports where the text is invalid', () => {
+        assert.throws(() => parseJsonc('{ "a": 1 "b": 2 }'), /Expected "," or "}" at offset 9/);
+        assert.throws(() => parseJsonc('{ /* open'), /Unterminated comment/);
+        assert.throws(() => parseJsonc('{} {}'), /Unexpected content after value/);
+    });
+
+    it('reads an empty document as an empty object', () => {
+        assert.deepEqual(parseJsonc(''), {});
+        assert.deepEqual(parseJsonc(' \n\t'), {});
+    });
+});
+
+describe('mergeJsonc', () => {
+    it('edits only what changes and keeps comments', () => {
+        const result = mergeJsonc(SETTINGS, {
+            'editor.tabSize': 4,
+            'chat.tools': { b: false },
+            'files.exclude': { out: true },
+            'new.key': [1, 2]
+        });
+
+        assert.equal(result.text, `{
+    // Spec-Kit
+    "editor.tabSize": 4,
+    "chat.tools": { "a": true, "b": false },
+    "files.exclude": {
+        "**/.git": true, // keep
+        "out": true,
+    },
+    "new.key": [
+        1,
+        2
+    ],
+}
+`);
+        assert.deepEqual(result.added, [['chat.tools', 'b'], ['files.exclude', 'out'], ['new.key']]);
+        assert.deepEqual(result.changed, [['editor.tabSize']]);
+    });
+
+    it('leaves the text alone when nothing differs', () => {
+        const result = mergeJsonc(SETTINGS, { 'editor.tabSize': 2, 'chat.tools': { a: true } });
+        assert.equal(result.text, SETTINGS);
+        assert.deepEqual(result.added, []);
+        assert.deepEqual(result.changed, []);
+    });
+
+    it('fills an empty object', () => {
+        assert.equal(mergeJsonc('{}', { a: { b: 1 } }).text, '{\n    "a": {\n        "b": 1\n    }\n}');
+    });
+
+    it('fills an empty document', () => {
+        assert.equal(mergeJsonc('\n', { a: 1 }).text, '{\n    "a": 1\n}\n');
+        assert.deepEqual(removeJsonc('\n', [['a']]), { text: '\n', removed: [] });
+    });
+
+    it('needs an object at the root', () => {
+        assert.throws(() => mergeJsonc('[]', { a: 1 }), /Expected an object at the root/);
+    });
+});
+
+describe('removeJsonc', () => {
+    it('removes whole lines with their comments and reports what it found', () => {
+        const result = removeJsonc(SETTINGS, [['files.exclude', '**/.git'], ['chat.tools', 'a'], ['missing']]);
+        assert.equal(result.text, `{
+    // Spec-Kit
+    "editor.tabSize": 2,
+    "chat.tools": { },
+    "files.exclude": {
+    },
+}
+`);
+        assert.deepEqual(result.removed, [['files.exclude', '**/.git'], ['chat.tools', 'a']]);
+    });
+
+    it('drops the comma left behind by the last property', () => {
+        assert.equal(removeJsonc('{\n    "a": 1,\n    "b": 2\n}\n', [['b']]).text, '{\n    "a": 1\n}\n');
+    });
+
+    it('undoes a merge', () => {
+        const merged = mergeJsonc(SETTINGS, { 'files.exclude': { out: true }, 'new.key': [1, 2] });
+        assert.equal(removeJsonc(merged.text, merged.added).text, SETTINGS);
+    });
+});
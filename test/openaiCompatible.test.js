@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OpenAICompatibleBackend, parseStreamLine } = require('../openaiCompatible');
+
+const delta = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n`;
+
+describe('parseStreamLine', () => {
+    it('reads deltas and whole messages', () => {
+        assert.equal(parseStreamLine(delta('Hi').trim()), 'Hi');
+        assert.equal(parseStreamLine('data: {"choices":[{"message":{"content":"All"}}]}'), 'All');
+    });
+
+    it('skips [DONE], keep-alives and malformed lines', () => {
+        assert.equal(parseStreamLine('data: [DONE]'), '');
+        assert.equal(parseStreamLine(': keep-alive'), '');
+        assert.equal(parseStreamLine('data: {"choices":'), '');
+        assert.equal(parseStreamLine('data: {"choices":[{"delta":{"role":"assistant"}}]}'), '');
+    });
+});
+
+describe('OpenAICompatibleBackend', () => {
+    let server;
+    let endpoint;
+    const requests = [];
+    // Each test sets how the server answers the next request
+    let respond;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => { body += data; });
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                respond(res);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/v1/`;
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('streams chunks split across writes and stops at [DONE]', async () => {
+        respond = res => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const events = delta('Hel') + '\n: keep-alive\n\ndata: {broken\n' + delta('lo') + 'data: [DONE]\n';
+            res.write(events.slice(0, 20));
+            setTimeout(() => res.end(events.slice(20)), 10);
+        };
+
+        const chunks = [];
+        const backend = new OpenAICompatibleBackend({ endpoint, model: 'local', apiKey: 'secret' });
+        assert.equal(await backend.send('Say hello', { onChunk: chunk => chunks.push(chunk) }), 'Hello');
+        assert.deepEqual(chunks, ['Hel', 'lo']);
+
+        const request = requests.at(-1);
+        assert.equal(request.url, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, 'Bearer secret');
+        assert.deepEqual(request.body, { model: 'local', stream: true, messages: [{ role: 'user', content: 'Say hello' }] });
+    });
+
+    it('reads a last line without a trailing newline', async () => {
+        respond = res => res.end('data: {"choices":[{"message":{"content":"Done"}}]}');
+        assert.equal(await new OpenAICompatibleBackend({ endpoint, model: 'local', apiKey: '' }).send('x'), 'Done');
+        assert.equal(requests.at(-1).headers.authorization, undefined);
+    });
+
+    it('reports HTTP errors', async () => {
+        respond = res => {
+            res.writeHead(404, 'Not Found');
+            res.end('model not found');
+        };
+        await assert.rejects(new OpenAICompatibleBackend({ endpoint, model: 'missing', apiKey: '' }).send('x'),
+            /\/v1\/chat\/completions responded 404 Not Found/);
+    });
+
+    it('aborts on cancellation and disposes its listener', async () => {
+        respond = res => res.writeHead(200).flushHeaders();
+
+        const listeners = [];
+        const token = {
+            onCancellationRequested(listener) {
+                listeners.push(listener);
+                return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+            }
+        };
+        const sent = new OpenAICompatibleBackend({ endpoint, model: 'local', apiKey: '' }).send('x', { token });
+        setTimeout(() => listeners.forEach(listener => listener()), 20);
+
+        await assert.rejects(sent, { name: 'AbortError' });
+        assert.equal(listeners.length, 0);
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { toBashScriptReferences } = require('../scriptReferences');
+
+describe('toBashScriptReferences', () => {
+    it('maps scripts and flags to the bash versions', () => {
+        assert.equal(
+            toBashScriptReferences('Run `.specify/scripts/powershell/check-prerequisites.ps1 -Json -RequireTasks -IncludeTasks` once.'),
+            'Run `.specify/scripts/bash/check-prerequisites.sh --json --require-tasks --include-tasks` once.'
+        );
+        assert.equal(
+            toBashScriptReferences('`.specify/scripts/powershell/update-agent-context.ps1 -AgentType copilot`'),
+            '`.specify/scripts/bash/update-agent-context.sh copilot`'
+        );
+    });
+
+    it('leaves lines labelled as PowerShell examples alone', () => {
+        const content = [
+            '- Bash example: `.specify/scripts/powershell/create-new-feature.ps1 --json --number 5 "Add login"`',
+            '- PowerShell example: `.specify/scripts/powershell/create-new-feature.ps1 -Json -Number 5 -ShortName "login"`'
+        ].join('\n');
+
+        assert.equal(toBashScriptReferences(content), [
+            '- Bash example: `.specify/scripts/bash/create-new-feature.sh --json --number 5 "Add login"`',
+            '- PowerShell example: `.specify/scripts/powershell/create-new-feature.ps1 -Json -Number 5 -ShortName "login"`'
+        ].join('\n'));
+    });
+
+    it('keeps one bash and one PowerShell example in the bundled specify agent', () => {
+        const agent = fs.readFileSync(path.join(__dirname, '..', 'setup', '.github', 'agents', 'speckit.specify.agent.md'), 'utf8');
+        const lines = toBashScriptReferences(agent).split('\n');
+        assert.equal(lines.filter(line => /Bash example:.*scripts\/bash\//.test(line)).length, 1);
+        assert.equal(lines.filter(line => /PowerShell example:.*scripts\/powershell\//.test(line)).length, 1);
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectBundledFiles, planSetupSync } = require('../setupAssets');
+
+describe('collectBundledFiles', () => {
+    let root;
+    const write = (relPath, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(root, relPath), content);
+    };
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-setup-assets-'));
+        write('base/.github/agents/a.agent.md', 'base agent\n');
+        write('base/.specify/templates/spec-template.md', 'spec\n');
+        write('profile/.github/agents/a.agent.md', 'profile agent\n');
+        write('profile/.github/workflows/ci.yml', 'on: push\n');
+        write('profile/.specify/memory/constitution.md', 'rules\n');
+        write('profile/.specify/.traycer-base/x.md', 'record\n');
+        write('profile/.specify/scripts/logo.png', Buffer.from([0x89, 0x50, 0xff, 0xfe, 0x00]));
+        write('profile/README.md', 'readme\n');
+    });
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('takes only the setup categories, later sources winning', () => {
+        const files = collectBundledFiles([path.join(root, 'base'), path.join(root, 'profile')]);
+        assert.deepEqual(files.map(file => file.relPath).sort(), [
+            '.github/agents/a.agent.md',
+            '.specify/memory/constitution.md',
+            '.specify/scripts/logo.png',
+            '.specify/templates/spec-template.md'
+        ]);
+        assert.equal(files.find(file => file.relPath === '.github/agents/a.agent.md').content.toString(), 'profile agent\n');
+    });
+
+    it('keeps the bytes of files that are not UTF-8', () => {
+        const files = collectBundledFiles([path.join(root, 'profile')], (relPath, content) =>
+            (relPath.endsWith('.md') ? content.toString().toUpperCase() : content)
+        );
+        assert.deepEqual(files.find(file => file.relPath === '.specify/scripts/logo.png').content, Buffer.from([0x89, 0x50, 0xff, 0xfe, 0x00]));
+        assert.equal(files.find(file => file.relPath === '.specify/memory/constitution.md').content.toString(), 'RULES\n');
+
+        // An identical copy in the workspace is recognized as unchanged
+        const workspace = path.join(root, 'profile');
+        const plan = planSetupSync(workspace, files);
+        assert.equal(plan.find(file => file.relPath === '.specify/scripts/logo.png').status, 'unchanged');
+        assert.equal(plan.find(file => file.relPath === '.specify/memory/constitution.md').status, 'both-modified');
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTasks } = require('../tasksParser');
+const { CHARS_PER_TOKEN, splitSections, buildTaskContext, formatTaskContext } = require('../taskContext');
+
+const TASKS = `# Tasks
+
+## Phase 1: Setup
+
+- [x] T001 Create project structure
+
+## Phase 3: User Story 2 - Sharing (Priority: P2)
+
+- [ ] T010 [US2] Album sharing service in src/services/share.js (depends on T001, T099)
+- [ ] T011 Share dialog in src/app.js
+`;
+
+const SPEC = `# Feature Specification
+
+### User Story 1 - Albums (Priority: P1)
+
+Users create albums.
+
+### User Story 2 - Sharing (Priority: P2)
+
+Users share an album with a link.
+
+### User Story 20 - Printing (Priority: P3)
+
+Users print albums.
+`;
+
+const PLAN = `# Plan
+
+## Technical Context
+
+Node 20, Express.
+
+## Sharing Links
+
+${'Links expire after a week. '.repeat(20)}
+
+## Deployment
+
+Runs on a single server.
+`;
+
+const MODEL = `# Data Model
+
+### Photo
+
+Title and image.
+
+### ShareLink
+
+Token and expiry for sharing.
+`;
+
+describe('splitSections', () => {
+    it('ignores headings in code fences', () => {
+        const sections = splitSections('# A\ntext\n```\n# not a heading\n```\n## B\nmore');
+        assert.deepEqual(sections.map(section => section.heading), ['A', 'B']);
+        assert.equal(sections[0].text, '# A\ntext\n```\n# not a heading\n```\n## B\nmore');
+    });
+});
+
+describe('buildTaskContext', () => {
+    let featurePath;
+    let doc;
+    const task = id => doc.tasks.find(candidate => candidate.id === id);
+    const titles = context => context.sections.map(section => `${section.source}: ${section.title}`);
+
+    before(() => {
+        featurePath = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-context-'));
+        fs.writeFileSync(path.join(featurePath, 'spec.md'), SPEC);
+        fs.writeFileSync(path.join(featurePath, 'plan.md'), PLAN);
+        fs.writeFileSync(path.join(featurePath, 'data-model.md'), MODEL);
+        fs.mkdirSync(path.join(featurePath, 'contracts'));
+        fs.writeFileSync(path.join(featurePath, 'contracts', 'sharing.yaml'), 'paths:\n  /albums/{id}/share: {}\n');
+        fs.writeFileSync(path.join(featurePath, 'contracts', 'printing.yaml'), 'paths:\n  /print: {}\n');
+        doc = parseTasks(TASKS);
+    });
+    after(() => {
+        fs.rmSync(featurePath, { recursive: true, force: true });
+    });
+
+    it('collects the matching story and related sections in priority order', () => {
+        const context = buildTaskContext(featurePath, doc, task('T010'));
+        assert.deepEqual(titles(context), [
+            'tasks.md: Dependencies',
+            'tasks.md: Files mentioned in the task',
+            'spec.md: User Story 2 - Sharing (Priority: P2)',
+            'plan.md: Technical Context',
+            'plan.md: Sharing Links',
+            'data-model.md: ShareLink',
+            'contracts/sharing.yaml: sharing.yaml'
+        ]);
+        assert.deepEqual(context.omitted, []);
+        assert.equal(context.truncated, false);
+    });
+
+    it('finds the story from the phase title without a [USn] tag', () => {
+        const context = buildTaskContext(featurePath, doc, task('T011'));
+        assert.ok(titles(context).includes('spec.md: User Story 2 - Sharing (Priority: P2)'));
+    });
+
+    it('lists depends-on notes, or the prerequisites it is given', () => {
+        const [dependencies] = buildTaskContext(featurePath, doc, task('T010')).sections;
+        assert.equal(dependencies.content,
+            '- [x] T001 Create project structure (depends on)\n- T099 (not found in tasks.md)');
+
+        const [given] = buildTaskContext(featurePath, doc, task('T011'), {
+            prerequisites: [{ task: task('T010'), reason: 'earlier in the phase' }],
+            openPhases: '1 task of Phase 1: Setup'
+        }).sections;
+        assert.equal(given.content, [
+            '- [ ] T010 Album sharing service in src/services/share.js (depends on T001, T099) (earlier in the phase) - NOT COMPLETED YET',
+            '- Earlier phases still open: 1 task of Phase 1: Setup - NOT COMPLETED YET'
+        ].join('\n'));
+    });
+
+    it('truncates the section that crosses the budget and names the ones left out', () => {
+        const full = buildTaskContext(featurePath, doc, task('T010'));
+        const used = full.sections.slice(0, 4).reduce((total, section) => total + section.content.length, 0);
+        // Room for the first four sections plus part of the long fifth one
+        const maxTokens = (used + 300) / CHARS_PER_TOKEN;
+
+        const context = buildTaskContext(featurePath, doc, task('T010'), { maxTokens });
+        assert.equal(context.truncated, true);
+        assert.deepEqual(titles(context), titles(full).slice(0, 5));
+        assert.match(context.sections[4].content, /^## Sharing Links\n\nLinks expire after a week\. .*\n… \(truncated\)$/);
+        assert.deepEqual(context.omitted, [
+            'data-model.md: ShareLink',
+            'contracts/sharing.yaml: sharing.yaml'
+        ]);
+        assert.match(formatTaskContext(context, 'specs/001-albums'),
+            /Left out to stay within the context budget \(read them if needed\): data-model\.md: ShareLink, /);
+    });
+
+    it('leaves out a section too large to be worth cutting down', () => {
+        const context = buildTaskContext(featurePath, doc, task('T010'), { maxTokens: 1 });
+        assert.deepEqual(context.sections, []);
+        assert.equal(context.omitted.length, 7);
+    });
+});
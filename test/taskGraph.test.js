@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTasks } = require('../tasksParser');
+const {
+    getOrderGroups,
+    buildTaskGraph,
+    getUnmetPrerequisites,
+    getRunnableTasks,
+    describePrerequisites
+} = require('../taskGraph');
+
+const TASKS = `# Tasks
+
+## Phase 1: Setup
+
+- [x] T001 Create project structure
+- [ ] T002 [P] Configure linting in .eslintrc.json
+- [ ] T003 [P] Configure formatting in .prettierrc
+
+## Phase 2: Foundational
+
+- [ ] T004 Set up the database in src/db.js
+
+## Phase 3: User Story 1 - Albums (Priority: P1)
+
+- [ ] T010 [P] [US1] Album model in src/models/album.js
+- [ ] T011 [P] [US1] Photo model in src/models/album.js
+- [ ] T012 [P] [US1] Contract test in tests/album.test.js
+
+**Checkpoint**: models are done
+
+- [ ] T013 [US1] Album service in src/services/album.js
+
+## Phase 4: User Story 2 - Sharing (Priority: P2)
+
+- [ ] T020 [US2] Share dialog in src/app.js (depends on T013)
+
+## Phase 5: Polish
+
+- [ ] T030 Document the API in README.md
+`;
+
+const ids = prerequisites => prerequisites.map(prerequisite => `${prerequisite.id}:${prerequisite.reason}`);
+
+describe('getOrderGroups', () => {
+    it('groups consecutive [P] tasks and notes checkpoints', () => {
+        const doc = parseTasks(TASKS);
+        const groups = getOrderGroups(doc.phases[2]);
+        assert.deepEqual(groups.map(group => group.tasks.map(task => task.id)), [['T010', 'T011', 'T012'], ['T013']]);
+        assert.deepEqual(groups.map(group => group.afterCheckpoint), [false, true]);
+    });
+
+    it('splits [P] tasks under different ### headings', () => {
+        const doc = parseTasks('## Phase 1: Setup\n### Tests\n- [ ] T001 [P] A\n### Code\n- [ ] T002 [P] B\n');
+        assert.equal(getOrderGroups(doc.phases[0]).length, 2);
+    });
+});
+
+describe('buildTaskGraph', () => {
+    const graph = buildTaskGraph(parseTasks(TASKS));
+    const prerequisitesOf = id => ids(graph.nodes.get(id).prerequisites);
+
+    it('lets user story phases wait only for phases that are not stories', () => {
+        assert.deepEqual(graph.phaseDependencies, [[], [0], [0, 1], [0, 1], [0, 1, 2, 3]]);
+    });
+
+    it('orders tasks within a phase by group', () => {
+        assert.deepEqual(prerequisitesOf('T002'), ['T001:order']);
+        assert.deepEqual(prerequisitesOf('T003'), ['T001:order']);
+        assert.deepEqual(prerequisitesOf('T013'), ['T010:checkpoint', 'T011:checkpoint', 'T012:checkpoint']);
+    });
+
+    it('adds depends-on notes across phases', () => {
+        assert.deepEqual(prerequisitesOf('T020'), ['T013:depends']);
+        assert.deepEqual(graph.nodes.get('T013').dependents, ['T020']);
+    });
+
+    it('serializes [P] tasks that share a file and reports the conflict', () => {
+        assert.deepEqual(prerequisitesOf('T011'), ['T010:file']);
+        assert.equal(graph.nodes.get('T011').prerequisites[0].file, 'src/models/album.js');
+        assert.deepEqual(graph.conflicts, [{ file: 'src/models/album.js', taskIds: ['T010', 'T011'] }]);
+        assert.deepEqual(graph.cycles, []);
+    });
+
+    it('lets a depends-on note reverse the order within a phase', () => {
+        const other = buildTaskGraph(parseTasks([
+            '## Phase 1: Setup',
+            '- [x] T001 A',
+            '- [ ] T002 B (depends on T003)',
+            '- [ ] T003 C',
+            '- [ ] T004 D'
+        ].join('\n')));
+        const of = id => ids(other.nodes.get(id).prerequisites);
+
+        assert.deepEqual(of('T002'), ['T003:depends', 'T001:order']);
+        assert.deepEqual(of('T003'), ['T001:order']);
+        assert.deepEqual(of('T004'), ['T003:order', 'T002:order']);
+        assert.deepEqual(other.cycles, []);
+        assert.deepEqual(getRunnableTasks(other).map(task => task.id), ['T003']);
+    });
+
+    it('skips over several tasks moved after the one they depend on', () => {
+        const other = buildTaskGraph(parseTasks('## Phase 1: Setup\n- [ ] T001 A\n- [ ] T002 B (depends on T004)\n- [ ] T003 C\n- [ ] T004 D\n'));
+        assert.deepEqual(ids(other.nodes.get('T004').prerequisites), ['T001:order']);
+        assert.deepEqual(other.cycles, []);
+    });
+
+    it('reports tasks whose depends-on notes wait for each other', () => {
+        const other = buildTaskGraph(parseTasks([
+            '## Phase 1: Setup',
+            '- [ ] T001 A (depends on T003)',
+            '- [ ] T002 B (depends on T001)',
+            '- [ ] T003 C (depends on T002)',
+            '- [ ] T004 D'
+        ].join('\n')));
+        assert.deepEqual(other.cycles, [['T001', 'T002', 'T003']]);
+        assert.deepEqual(getRunnableTasks(other), []);
+    });
+
+    it('ignores depends-on notes naming unknown tasks', () => {
+        const other = buildTaskGraph(parseTasks('## Phase 1: Setup\n- [ ] T001 A (depends on T099)\n'));
+        assert.deepEqual(other.nodes.get('T001').prerequisites, []);
+    });
+});
+
+describe('getUnmetPrerequisites', () => {
+    const graph = buildTaskGraph(parseTasks(TASKS));
+
+    it('leaves out completed tasks and adds open tasks of earlier phases', () => {
+        assert.deepEqual(ids(getUnmetPrerequisites(graph, 'T002')), []);
+        assert.deepEqual(ids(getUnmetPrerequisites(graph, 'T004')), ['T002:phase', 'T003:phase']);
+        assert.deepEqual(ids(getUnmetPrerequisites(graph, 'T010')), ['T002:phase', 'T003:phase', 'T004:phase']);
+    });
+
+    it('returns nothing for an unknown task', () => {
+        assert.deepEqual(getUnmetPrerequisites(graph, 'T999'), []);
+    });
+});
+
+describe('getRunnableTasks', () => {
+    it('lists open tasks whose prerequisites are completed', () => {
+        const graph = buildTaskGraph(parseTasks(TASKS));
+        assert.deepEqual(getRunnableTasks(graph).map(task => task.id), ['T002', 'T003']);
+    });
+});
+
+describe('describePrerequisites', () => {
+    it('names task prerequisites and counts phase ones', () => {
+        const graph = buildTaskGraph(parseTasks(TASKS));
+        assert.equal(describePrerequisites(graph, getUnmetPrerequisites(graph, 'T011')),
+            'T010 (same file src/models/album.js), 2 tasks of Phase 1: Setup, 1 task of Phase 2: Foundational');
+        assert.equal(describePrerequisites(graph, getUnmetPrerequisites(graph, 'T020')).split(', ')[0], 'T013 (depends on)');
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseTasks } = require('../tasksParser');
+const {
+    expandCommand,
+    runTaskVerification,
+    formatVerificationReport,
+    writeVerificationReport,
+    readVerificationResults
+} = require('../taskVerifier');
+
+describe('expandCommand', { skip: process.platform === 'win32' && 'POSIX quoting' }, () => {
+    it('quotes each file for the shell', () => {
+        assert.equal(expandCommand('npx eslint ${files}', ['src/a.js', 'my docs/b.md']),
+            'npx eslint \'src/a.js\' \'my docs/b.md\'');
+        assert.equal(expandCommand('cat ${files}', ['it\'s.txt']), 'cat \'it\'\\\'\'s.txt\'');
+    });
+
+    it('survives the shell with spaces and quotes', () => {
+        const printed = execFileSync('sh', ['-c', expandCommand('printf "%s|" ${files}', ['a b', 'it\'s', '$HOME'])], { encoding: 'utf8' });
+        assert.equal(printed, 'a b|it\'s|$HOME|');
+    });
+
+    it('leaves commands without ${files} alone', () => {
+        assert.equal(expandCommand('npm test ', ['a.js']), 'npm test');
+    });
+});
+
+describe('runTaskVerification', () => {
+    let repo;
+    const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' });
+    const taskOf = line => parseTasks(`## Phase 1: Setup\n${line}\n`).tasks[0];
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-verify-'));
+        git('init', '-q');
+        git('config', 'user.email', 'test@example.com');
+        git('config', 'user.name', 'Test');
+        fs.writeFileSync(path.join(repo, 'a.js'), 'a\n');
+        fs.writeFileSync(path.join(repo, 'clean.js'), 'clean\n');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'init');
+        fs.writeFileSync(path.join(repo, 'a.js'), 'changed\n');
+    });
+    after(() => {
+        fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('passes when the files changed and every command exits with 0', async () => {
+        const report = await runTaskVerification(repo, taskOf('- [ ] T001 Edit a.js'), { commands: ['exit 0', 'echo checked ${files}'] });
+        assert.equal(report.passed, true);
+        assert.deepEqual(report.files, [{ path: 'a.js', exists: true, changed: true }]);
+        assert.deepEqual(report.commands.map(result => [result.command, result.exitCode, result.output]),
+            [['exit 0', 0, ''], ['echo checked \'a.js\'', 0, 'checked a.js']]);
+        assert.deepEqual(report.unknown, []);
+    });
+
+    it('fails on missing files, files not changed since the start and failing commands', async () => {
+        const report = await runTaskVerification(repo, taskOf('- [ ] T002 Edit a.js and missing.js'), {
+            commands: ['echo broken >&2; exit 3'],
+            startedAt: Date.now() + 60000
+        });
+        assert.equal(report.passed, false);
+        assert.deepEqual(report.problems, [
+            'missing.js does not exist',
+            'a.js was not modified since the task started',
+            '`echo broken >&2; exit 3` exited with 3'
+        ]);
+        assert.equal(report.commands[0].output, 'broken');
+        assert.match(formatVerificationReport(report), /^# Verification: T002 ❌ failed/);
+    });
+
+    it('skips ${files} commands when none of the task files exist', async () => {
+        const report = await runTaskVerification(repo, taskOf('- [ ] T003 Create new.js'), { commands: ['exit 1 ${files}', 'exit 0'] });
+        assert.deepEqual(report.skipped, ['exit 1 ${files}']);
+        assert.deepEqual(report.commands.map(result => result.command), ['exit 0']);
+        assert.match(formatVerificationReport(report), /⏭️ `exit 1 \$\{files\}` skipped/);
+    });
+
+    it('flags files whose changes cannot be told without a start time', async () => {
+        const report = await runTaskVerification(repo, taskOf('- [ ] T004 Edit clean.js and a.js'));
+        assert.equal(report.passed, true);
+        assert.deepEqual(report.unknown, ['clean.js']);
+
+        const markdown = formatVerificationReport(report);
+        assert.match(markdown, /\*\*Changes unknown\*\*: `clean.js` \(no uncommitted changes/);
+        assert.match(markdown, /`clean.js` \(exists, change unknown\)/);
+        assert.match(markdown, /`a.js` \(exists, changed\)/);
+    });
+});
+
+describe('readVerificationResults', () => {
+    let featurePath;
+    before(() => {
+        featurePath = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-reports-'));
+    });
+    after(() => {
+        fs.rmSync(featurePath, { recursive: true, force: true });
+    });
+
+    it('reads written reports and ignores corrupt ones', () => {
+        const report = {
+            taskId: 'T001', description: 'Edit a.js', passed: true, startedAt: null, finishedAt: '2026-01-01T00:00:00.000Z',
+            files: [], commands: [], skipped: [], cancelled: false, problems: [], unknown: []
+        };
+        const reportPath = writeVerificationReport(featurePath, report);
+        fs.writeFileSync(path.join(featurePath, 'verification', 'T002.json'), '{"taskId": "T002", "pass');
+
+        assert.equal(reportPath, path.join(featurePath, 'verification', 'T001.md'));
+        assert.deepEqual([...readVerificationResults(featurePath)], [
+            ['T001', { passed: true, finishedAt: '2026-01-01T00:00:00.000Z', reportPath }]
+        ]);
+    });
+
+    it('returns nothing without a verification directory', () => {
+        assert.equal(readVerificationResults(path.join(featurePath, 'missing')).size, 0);
+    });
+});
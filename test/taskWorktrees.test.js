@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+    checkRepository,
+    createTaskWorktree,
+    parseFileBlocks,
+    commitFiles,
+    mergeTaskBranch,
+    removeTaskWorktree
+} = require('../taskWorktrees');
+
+describe('parseFileBlocks', () => {
+    it('reads the header styles models use', () => {
+        const files = parseFileBlocks([
+            'Here are the changes.',
+            '',
+            'File: `src/a.js`',
+            '```js',
+            'module.exports = 1;',
+            '```',
+            '**File:** src/b.js',
+            '```',
+            'b',
+            '```',
+            '### File: docs/c.md',
+            '~~~~markdown',
+            '```js',
+            'nested fence',
+            '```',
+            '~~~~'
+        ].join('\n'));
+
+        assert.deepEqual(files, [
+            { path: 'src/a.js', content: 'module.exports = 1;\n' },
+            { path: 'src/b.js', content: 'b\n' },
+            { path: 'docs/c.md', content: '```js\nnested fence\n```\n' }
+        ]);
+    });
+
+    it('keeps the last block of a file given twice', () => {
+        const files = parseFileBlocks('File: a.txt\n```\none\n```\nFile: a.txt\n```\ntwo\n```\n');
+        assert.deepEqual(files, [{ path: 'a.txt', content: 'two\n' }]);
+    });
+
+    it('ignores code blocks without a header right above them', () => {
+        assert.deepEqual(parseFileBlocks('File: a.txt\nSome prose first.\n```\nx\n```\n```\ny\n```'), []);
+    });
+
+    it('takes an unterminated block up to the end', () => {
+        assert.deepEqual(parseFileBlocks('File: a.txt\r\n```\r\nx\r\ny'), [{ path: 'a.txt', content: 'x\ny\n' }]);
+    });
+});
+
+describe('task worktrees', () => {
+    let repo;
+    const worktrees = [];
+    const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-repo-'));
+        git('init', '-q');
+        git('config', 'user.email', 'test@example.com');
+        git('config', 'user.name', 'Test');
+        fs.mkdirSync(path.join(repo, 'app'));
+        fs.writeFileSync(path.join(repo, 'app', 'shared.txt'), 'base\n');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'init');
+    });
+    after(() => {
+        // Worktrees live outside the repository, so a failed test would leave them behind
+        for (const worktree of worktrees) {
+            fs.rmSync(worktree.path, { recursive: true, force: true });
+        }
+        fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('refuses a folder outside git and a dirty working tree', async () => {
+        const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'traycer-plain-'));
+        assert.equal(await checkRepository(plain), 'The folder is not a git repository');
+        fs.rmSync(plain, { recursive: true, force: true });
+
+        fs.writeFileSync(path.join(repo, 'app', 'shared.txt'), 'edited\n');
+        assert.match(await checkRepository(repo), /uncommitted changes/);
+        git('checkout', '--', 'app/shared.txt');
+        assert.equal(await checkRepository(repo), null);
+    });
+
+    it('commits in a worktree of a subfolder, merges clean branches and aborts conflicting ones', async () => {
+        const appPath = path.join(repo, 'app');
+        const first = await createTaskWorktree(appPath, 'T001', 'main');
+        const second = await createTaskWorktree(appPath, 'T002', 'main');
+        worktrees.push(first, second);
+        assert.equal(first.folder, path.join(first.path, 'app'));
+
+        // '../' would leave the workspace folder's part of the worktree
+        assert.deepEqual(await commitFiles(first, [
+            { path: 'shared.txt', content: 'first\n' },
+            { path: '../root.txt', content: 'no\n' }
+        ], 'T001: first'), ['shared.txt']);
+        assert.deepEqual(await commitFiles(second, [{ path: 'shared.txt', content: 'second\n' }], 'T002: second'), ['shared.txt']);
+
+        assert.deepEqual(await mergeTaskBranch(appPath, first), { merged: true, conflicts: [], error: null });
+        assert.deepEqual(await mergeTaskBranch(appPath, second), { merged: false, conflicts: ['app/shared.txt'], error: null });
+        assert.equal(fs.readFileSync(path.join(appPath, 'shared.txt'), 'utf8'), 'first\n');
+        assert.equal(await checkRepository(appPath), null);
+
+        await removeTaskWorktree(appPath, first, false);
+        await removeTaskWorktree(appPath, second, true);
+        assert.equal(fs.existsSync(first.path), false);
+        assert.equal(fs.existsSync(second.path), false);
+        assert.deepEqual(git('branch', '--list', 'main-t00*', '--format=%(refname:short)').split('\n'), [second.branch]);
+    });
+
+    it('skips .git paths and reports a commit hook that refuses', { skip: process.platform === 'win32' && 'shell hook' }, async () => {
+        const worktree = await createTaskWorktree(repo, 'T003', 'main');
+        worktrees.push(worktree);
+        const hook = path.join(repo, '.git', 'hooks', 'pre-commit');
+        fs.writeFileSync(hook, '#!/bin/sh\necho "lint failed" >&2\nexit 1\n', { mode: 0o755 });
+        // Some environments turn hooks off with GIT_CONFIG_* settings (core.hooksPath=/dev/null)
+        const environment = { ...process.env };
+        for (const name of Object.keys(process.env).filter(name => name.startsWith('GIT_CONFIG_'))) {
+            delete process.env[name];
+        }
+        try {
+            await assert.rejects(commitFiles(worktree, [
+                { path: 'app/new.txt', content: 'new\n' },
+                { path: '.git/config', content: 'no\n' },
+                { path: 'app/.GIT/hooks/x', content: 'no\n' }
+            ], 'T003: new'), error => {
+                assert.equal(error.message, 'git commit failed (see the hook output)');
+                assert.match(error.output, /lint failed/);
+                return true;
+            });
+            assert.equal(fs.existsSync(path.join(worktree.path, 'app', '.GIT')), false);
+        } finally {
+            Object.assign(process.env, environment);
+            fs.rmSync(hook);
+        }
+        await removeTaskWorktree(repo, worktree, false);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTasks, extractFilePaths, extractDependencies } = require('../tasksParser');
+
+const TASKS = `# Tasks: Photo Albums
+
+## Phase 1: Setup
+
+**Purpose**: Project initialization
+
+- [x] T001 Create project structure per implementation plan
+- [ ] T002 [P] Configure linting in \`.eslintrc.json\`
+
+---
+
+## Phase 2: User Story 1 - Create albums (Priority: P1) 🎯 MVP
+
+**Goal**: Users can create albums
+
+### Tests for User Story 1
+
+- [ ] T010 [P] [US1] Contract test for POST /albums in tests/contract/test_albums.py
+- [X] T011 [P] [US1] Integration test in tests/integration/test_albums.py
+
+### Implementation for User Story 1
+
+- [ ] T012 [US1] Create Album model in src/models/album.py, with validation
+  for the album name (depends on T010, T011)
+  - Reuse the helpers in src/lib/
+  - Follow contracts/albums.yaml
+    for the field names
+- [ ] T013 [US1] Expose the endpoint
+
+**Checkpoint**: User Story 1 works on its own
+
+## Dependencies
+
+- Setup before everything else
+- T012 after T010
+
+## Parallel Example
+
+\`\`\`bash
+- [ ] T099 Not a real task in src/example.py
+\`\`\`
+`;
+
+describe('parseTasks', () => {
+    const doc = parseTasks(TASKS);
+    const task = id => doc.tasks.find(candidate => candidate.id === id);
+
+    it('reads the title and phases', () => {
+        assert.equal(doc.title, 'Photo Albums');
+        assert.deepEqual(doc.phases.map(phase => phase.number), [1, 2]);
+        assert.equal(doc.phases[0].purpose, 'Project initialization');
+        assert.equal(doc.phases[1].title, 'User Story 1 - Create albums (Priority: P1) 🎯 MVP');
+        assert.equal(doc.phases[1].priority, 'P1');
+        assert.equal(doc.phases[1].goal, 'Users can create albums');
+    });
+
+    it('assigns tasks to their phase and ### group', () => {
+        assert.deepEqual(doc.phases.map(phase => phase.tasks.map(t => t.id)), [['T001', 'T002'], ['T010', 'T011', 'T012', 'T013']]);
+        assert.equal(task('T010').group, 'Tests for User Story 1');
+        assert.equal(task('T012').group, 'Implementation for User Story 1');
+        assert.equal(task('T012').phaseIndex, 1);
+    });
+
+    it('reads checkboxes and [P]/[USn] markers', () => {
+        assert.equal(task('T001').completed, true);
+        assert.equal(task('T011').completed, true);
+        assert.equal(task('T002').completed, false);
+        assert.equal(task('T002').parallel, true);
+        assert.equal(task('T012').parallel, false);
+        assert.equal(task('T010').story, 'US1');
+        assert.equal(task('T001').story, null);
+        assert.equal(task('T010').description, 'Contract test for POST /albums in tests/contract/test_albums.py');
+    });
+
+    it('joins wrapped lines and collects sub-bullets', () => {
+        const t012 = task('T012');
+        assert.equal(t012.description,
+            'Create Album model in src/models/album.py, with validation for the album name (depends on T010, T011)');
+        assert.deepEqual(t012.notes, ['Reuse the helpers in src/lib/', 'Follow contracts/albums.yaml for the field names']);
+        assert.deepEqual(t012.range, { startLine: t012.line, endLine: t012.line + 4 });
+        assert.equal(t012.raw, TASKS.split('\n')[t012.line]);
+    });
+
+    it('extracts file paths from the description and notes', () => {
+        assert.deepEqual(task('T002').files, ['.eslintrc.json']);
+        assert.deepEqual(task('T012').files, ['src/models/album.py', 'src/lib/', 'contracts/albums.yaml']);
+        assert.deepEqual(task('T013').files, []);
+    });
+
+    it('extracts depends-on notes', () => {
+        assert.deepEqual(task('T012').dependsOn, ['T010', 'T011']);
+        assert.deepEqual(task('T010').dependsOn, []);
+    });
+
+    it('records checkpoints and the Dependencies section', () => {
+        assert.deepEqual(doc.phases[1].checkpoints.map(checkpoint => checkpoint.text), ['User Story 1 works on its own']);
+        assert.deepEqual(doc.dependencyNotes.map(note => note.text), ['Setup before everything else', 'T012 after T010']);
+    });
+
+    it('ignores tasks in code blocks', () => {
+        assert.equal(task('T099'), undefined);
+        assert.equal(doc.tasks.length, 6);
+    });
+
+    it('ends a phase before the trailing separator', () => {
+        const lines = TASKS.split('\n');
+        assert.equal(lines[doc.phases[0].range.endLine], '- [ ] T002 [P] Configure linting in `.eslintrc.json`');
+    });
+
+    it('puts tasks outside phases into a phase named after their section', () => {
+        const loose = parseTasks('## Backlog\n\n- [ ] T001 Something\n');
+        assert.equal(loose.phases.length, 1);
+        assert.equal(loose.phases[0].number, null);
+        assert.equal(loose.phases[0].name, 'Backlog');
+        assert.equal(loose.tasks[0].id, 'T001');
+    });
+
+    it('handles CRLF line endings', () => {
+        const doc = parseTasks('## Phase 1: Setup\r\n- [ ] T001 Create src/app.js\r\n');
+        assert.deepEqual(doc.tasks[0].files, ['src/app.js']);
+        assert.equal(doc.tasks[0].description, 'Create src/app.js');
+    });
+});
+
+describe('extractFilePaths', () => {
+    it('skips prose and URLs', () => {
+        assert.deepEqual(extractFilePaths('Update and/or remove https://example.com/a.js in ./src/app.ts.'), ['src/app.ts']);
+    });
+
+    it('only accepts bare names with a known extension', () => {
+        assert.deepEqual(extractFilePaths('Edit README.md, e.g. the v1.2 notes'), ['README.md']);
+    });
+});
+
+describe('extractDependencies', () => {
+    it('reads lists after the usual phrasings', () => {
+        assert.deepEqual(extractDependencies('requires T001 and T002; blocked by T003/T004'), ['T001', 'T002', 'T003', 'T004']);
+        assert.deepEqual(extractDependencies('mentions T005 without a dependency'), []);
+    });
+});